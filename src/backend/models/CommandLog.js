@@ -36,18 +36,18 @@ const commandLogSchema = new mongoose.Schema({
     max: 5
   },
   
-  // Command source (schedule, preclean, manual, control)
+  // Command source (schedule, preclean, manual, control, reconcile)
   source: {
     type: String,
     required: true,
-    enum: ['schedule', 'preclean', 'manual', 'restore', 'control']
+    enum: ['schedule', 'preclean', 'manual', 'restore', 'control', 'reconcile']
   },
   
   // Command status
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'sent', 'acknowledged', 'failed', 'timeout'],
+    enum: ['pending', 'sent', 'acknowledged', 'failed', 'timeout', 'expired', 'queued', 'superseded'],
     default: 'pending'
   },
   
@@ -62,6 +62,26 @@ const commandLogSchema = new mongoose.Schema({
     type: Date
   },
   
+  // When command was put in the offline queue
+  queuedAt: {
+    type: Date
+  },
+  
+  // Queued commands are dropped (status 'expired') after this time
+  expiresAt: {
+    type: Date
+  },
+  
+  // Newer command that replaced this one before it was sent (status 'superseded')
+  supersededBy: {
+    type: String
+  },
+  
+  // Backend node that sent the command (cluster mode)
+  nodeId: {
+    type: String
+  },
+  
   // Retry attempts
   retryCount: {
     type: Number,
@@ -86,6 +106,30 @@ const commandLogSchema = new mongoose.Schema({
 // Index for querying recent commands
 commandLogSchema.index({ deviceId: 1, sentAt: -1 });
 commandLogSchema.index({ status: 1, sentAt: -1 });
+commandLogSchema.index({ deviceId: 1, status: 1, queuedAt: 1 });
+
+// Static method to get commands that never reached a final status
+// (used to recover in-flight commands after a backend restart)
+commandLogSchema.statics.findUnfinished = function(nodeId) {
+  const query = { status: { $in: ['pending', 'sent'] } };
+  if (nodeId) query.nodeId = nodeId;
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// Static method to get the offline queue for a device (oldest first)
+commandLogSchema.statics.findQueued = function(deviceId) {
+  return this.find({ deviceId, status: 'queued' }).sort({ queuedAt: 1, createdAt: 1 });
+};
+
+// Static method to check whether a device has live (not yet expired) queued commands
+commandLogSchema.statics.hasQueued = async function(deviceId) {
+  const queued = await this.exists({
+    deviceId,
+    status: 'queued',
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(queued);
+};
 
 const CommandLog = mongoose.model('CommandLog', commandLogSchema);
 
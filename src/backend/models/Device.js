@@ -21,7 +21,18 @@ const deviceSchema = new mongoose.Schema({
   location: {
     room: String,
     building: String,
-    floor: String
+    floor: String,
+    // Coordinates for sun-relative schedules (degrees, north/east positive)
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
   },
   specifications: {
     model: String,
@@ -46,6 +57,34 @@ const deviceSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // How often the device publishes (seconds) - used by the offline watchdog
+  publishInterval: {
+    type: Number,
+    default: 120,
+    min: 1
+  },
+  // How overlapping schedules are resolved:
+  // highest_priority, highest_speed, most_recent (newest schedule wins)
+  // or reject_overlaps (overlapping schedules cannot be created)
+  schedulePolicy: {
+    type: String,
+    enum: ['highest_priority', 'highest_speed', 'most_recent', 'reject_overlaps'],
+    default: 'highest_speed'
+  },
+  // IANA timezone the device's schedules default to (e.g. "America/New_York")
+  timezone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        try {
+          return !v || Boolean(new Intl.DateTimeFormat('en-US', { timeZone: v }));
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'timezone must be an IANA timezone (e.g., America/New_York)'
+    }
+  },
   firmware: {
     version: String,
     lastUpdated: Date
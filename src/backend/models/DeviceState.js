@@ -43,6 +43,30 @@ const deviceStateSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Device shadow: the state we asked for (written by control, schedule and pre-clean commands)
+  desired: {
+    powerOn: Boolean,
+    fanSpeed: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    source: String,    // Command source that last changed the desired state
+    commandId: String, // Command that last changed the desired state
+    updatedAt: Date
+  },
+  
+  // Device shadow: the state the device last reported (sensor data and acks)
+  reported: {
+    powerOn: Boolean,
+    fanSpeed: {
+      type: Number,
+      min: 0,
+      max: 5
+    },
+    updatedAt: Date
+  },
+  
   // Pre-clean state (for temporary overrides)
   preCleanState: {
     isActive: {
@@ -119,6 +143,64 @@ const deviceStateSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Fields compared between the desired and reported shadow blocks
+const SHADOW_FIELDS = ['powerOn', 'fanSpeed'];
+
+// Static method to map a device command to the desired state it implies
+deviceStateSchema.statics.desiredFromCommand = function(action, value) {
+  switch (action) {
+    case 'setFanSpeed':
+      return { powerOn: value > 0, fanSpeed: value };
+    case 'turnOff':
+      return { powerOn: false, fanSpeed: 0 };
+    case 'turnOn':
+      // Device powers on and keeps its current fan speed
+      return { powerOn: true };
+    default:
+      return {};
+  }
+};
+
+// Static method to record the desired state for a device
+deviceStateSchema.statics.setDesired = function(deviceId, state, source, commandId) {
+  const update = {
+    'desired.source': source,
+    'desired.commandId': commandId,
+    'desired.updatedAt': new Date()
+  };
+  
+  for (const field of SHADOW_FIELDS) {
+    if (state[field] !== undefined) {
+      update[`desired.${field}`] = state[field];
+    }
+  }
+  
+  return this.findOneAndUpdate({ deviceId }, { $set: update }, { upsert: true, new: true });
+};
+
+// Instance method to compute the shadow delta (desired fields the device has not reached yet)
+deviceStateSchema.methods.getDelta = function() {
+  const delta = {};
+  const desired = this.desired || {};
+  const reported = this.reported || {};
+  
+  for (const field of SHADOW_FIELDS) {
+    if (desired[field] === undefined || desired[field] === null) {
+      continue;
+    }
+    if (desired[field] !== reported[field]) {
+      delta[field] = desired[field];
+    }
+  }
+  
+  return delta;
+};
+
+// Instance method to check whether the device has reached its desired state
+deviceStateSchema.methods.isInSync = function() {
+  return Object.keys(this.getDelta()).length === 0;
+};
+
 const DeviceState = mongoose.model('DeviceState', deviceStateSchema);
 
 module.exports = DeviceState;
@@ -0,0 +1,85 @@
+/**
+ * MongoDB Schema for Holiday Calendars
+ *
+ * A shared list of holidays (e.g. "Office closures 2025") that devices or
+ * whole organizations subscribe to. Schedules of subscribed devices skip
+ * occurrences that start on a holiday.
+ */
+
+const mongoose = require('mongoose');
+
+const holidayCalendarSchema = new mongoose.Schema({
+  // Calendar name (e.g. "India public holidays")
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  description: {
+    type: String
+  },
+
+  // Holidays (date format: "YYYY-MM-DD" in the schedule timezone)
+  holidays: [{
+    _id: false,
+    date: {
+      type: String,
+      required: true,
+      validate: {
+        validator: function(v) {
+          return /^\d{4}-\d{2}-\d{2}$/.test(v);
+        },
+        message: 'Holiday date must be in YYYY-MM-DD format (e.g., 2024-12-25)'
+      }
+    },
+    name: {
+      type: String,
+      required: true
+    }
+  }],
+
+  // Who follows this calendar
+  subscribers: {
+    deviceIds: {
+      type: [String],
+      index: true
+    },
+    organizationIds: {
+      type: [String],
+      index: true
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the calendars a device follows (directly or via its organization)
+holidayCalendarSchema.statics.findForDevice = function(deviceId, organizationId) {
+  const or = [{ 'subscribers.deviceIds': deviceId }];
+  if (organizationId) {
+    or.push({ 'subscribers.organizationIds': organizationId });
+  }
+  return this.find({ $or: or });
+};
+
+// Static method to get a device's holidays as a "YYYY-MM-DD" -> description map
+holidayCalendarSchema.statics.holidayMapForDevice = async function(deviceId, organizationId) {
+  const calendars = await this.findForDevice(deviceId, organizationId);
+  const holidays = new Map();
+
+  for (const calendar of calendars) {
+    for (const holiday of calendar.holidays) {
+      if (!holidays.has(holiday.date)) {
+        holidays.set(holiday.date, `${holiday.name} (${calendar.name})`);
+      }
+    }
+  }
+
+  return holidays;
+};
+
+const HolidayCalendar = mongoose.model('HolidayCalendar', holidayCalendarSchema);
+
+module.exports = HolidayCalendar;
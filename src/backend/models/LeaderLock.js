@@ -0,0 +1,78 @@
+/**
+ * MongoDB Schema for Leader Locks
+ *
+ * A lease held by one backend node at a time (cluster mode). The holder
+ * renews it periodically; if it stops renewing, the lease expires and
+ * another node can take it over.
+ */
+
+const mongoose = require('mongoose');
+
+const leaderLockSchema = new mongoose.Schema({
+  // Lock name (e.g. "scheduler")
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Node ID of the current holder
+  holder: {
+    type: String,
+    required: true
+  },
+
+  // Lease expiry - the lock is free after this time
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Last time the holder renewed the lease
+  renewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to acquire or renew a lock (free, expired or already ours)
+// Returns true if the holder now owns the lock for the next ttl ms
+leaderLockSchema.statics.acquire = async function(name, holder, ttl) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { holder },
+          { expiresAt: { $lte: now } }
+        ]
+      },
+      {
+        holder,
+        expiresAt: new Date(now.getTime() + ttl),
+        renewedAt: now
+      },
+      { upsert: true, new: true }
+    );
+
+    return lock.holder === holder;
+  } catch (error) {
+    // Lock exists and is held by another node - the upsert collides with it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock (only if held by this holder)
+leaderLockSchema.statics.release = function(name, holder) {
+  return this.deleteOne({ name, holder });
+};
+
+const LeaderLock = mongoose.model('LeaderLock', leaderLockSchema);
+
+module.exports = LeaderLock;
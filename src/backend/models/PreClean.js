@@ -3,6 +3,7 @@
  */
 
 const mongoose = require('mongoose');
+const clock = require('../utils/clock');
 
 const preCleanSchema = new mongoose.Schema({
   preCleanId: {
@@ -65,7 +66,7 @@ const preCleanSchema = new mongoose.Schema({
   startedAt: {
     type: Date,
     required: true,
-    default: Date.now
+    default: () => clock.date()
   },
   
   scheduledEndAt: {
@@ -84,7 +85,7 @@ const preCleanSchema = new mongoose.Schema({
     index: true
   }
 }, {
-  timestamps: true
+  timestamps: { currentTime: () => clock.date() }
 });
 
 // Indexes for efficient queries
@@ -99,20 +100,20 @@ preCleanSchema.statics.findActiveByDevice = function(deviceId) {
 preCleanSchema.statics.findExpired = function() {
   return this.find({
     status: 'active',
-    scheduledEndAt: { $lt: new Date() }
+    scheduledEndAt: { $lt: clock.date() }
   });
 };
 
 // Instance methods
 preCleanSchema.methods.markCompleted = function() {
   this.status = 'completed';
-  this.actualEndAt = new Date();
+  this.actualEndAt = clock.date();
   return this.save();
 };
 
 preCleanSchema.methods.markCancelled = function() {
   this.status = 'cancelled';
-  this.actualEndAt = new Date();
+  this.actualEndAt = clock.date();
   return this.save();
 };
 
@@ -0,0 +1,88 @@
+/**
+ * MongoDB Schema for Quarantined MQTT Messages
+ *
+ * Messages that fail JSON parsing or payload validation are kept here
+ * (instead of being dropped) so they can be inspected and replayed.
+ */
+
+const mongoose = require('mongoose');
+
+const quarantinedMessageSchema = new mongoose.Schema({
+  // Topic the message arrived on
+  topic: {
+    type: String,
+    required: true
+  },
+
+  // Device ID taken from the topic
+  deviceId: {
+    type: String,
+    index: true
+  },
+
+  // Message type taken from the topic (data, ack, status)
+  messageType: {
+    type: String
+  },
+
+  // Raw message exactly as received
+  rawPayload: {
+    type: String,
+    required: true
+  },
+
+  // Parsed payload (missing when the message was not valid JSON)
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Why the message was rejected
+  reason: {
+    type: String,
+    required: true,
+    enum: ['invalid_json', 'unknown_topic', 'schema_validation', 'unsupported_schema_version', 'device_mismatch'],
+    index: true
+  },
+
+  // Validation errors
+  validationErrors: [String],
+
+  // Schema version the payload claimed
+  schemaVersion: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 'replaying' while a replay holds the message (claimed atomically so two
+  // replays cannot both dispatch it)
+  status: {
+    type: String,
+    enum: ['quarantined', 'replaying', 'replayed'],
+    default: 'quarantined',
+    index: true
+  },
+
+  // Replay tracking
+  replayAttempts: {
+    type: Number,
+    default: 0
+  },
+  replayedAt: {
+    type: Date
+  },
+  lastReplayError: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+quarantinedMessageSchema.index({ receivedAt: -1 });
+
+const QuarantinedMessage = mongoose.model('QuarantinedMessage', quarantinedMessageSchema);
+
+module.exports = QuarantinedMessage;
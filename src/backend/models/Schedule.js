@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const clock = require('../utils/clock');
 
 const scheduleSchema = new mongoose.Schema({
   // Which device is this schedule for?
@@ -18,7 +19,7 @@ const scheduleSchema = new mongoose.Schema({
   recurrenceType: {
     type: String,
     required: true,
-    enum: ['daily', 'weekly', 'monthly', 'custom'],
+    enum: ['daily', 'weekly', 'monthly', 'custom', 'once'],
     default: 'weekly'
   },
   
@@ -49,6 +50,69 @@ const scheduleSchema = new mongoose.Schema({
     max: 365
   },
   
+  // Monthly rule (for monthly recurrence)
+  // e.g. { kind: 'nthWeekday', nth: 2, weekday: 'Tuesday' } = 2nd Tuesday of the month
+  // Without a rule, monthly schedules run on the first <day>, or on the anchor's day of month
+  monthlyRule: {
+    kind: {
+      type: String,
+      enum: ['dayOfMonth', 'nthWeekday', 'lastWeekday', 'lastDay']
+    },
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31
+    },
+    nth: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    weekday: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    }
+  },
+  
+  // Date intervals are counted from (format: "YYYY-MM-DD", defaults to the creation day)
+  // e.g. every 2 weeks anchored on 2024-01-01 runs in the weeks of Jan 1, Jan 15, ...
+  anchorDate: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{4}-\d{2}-\d{2}$/.test(v);
+      },
+      message: 'Anchor date must be in YYYY-MM-DD format (e.g., 2024-01-01)'
+    }
+  },
+  
+  // Date range the schedule runs in (format: "YYYY-MM-DD", both inclusive, optional)
+  validFrom: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{4}-\d{2}-\d{2}$/.test(v);
+      },
+      message: 'validFrom must be in YYYY-MM-DD format (e.g., 2024-01-01)'
+    }
+  },
+  validUntil: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{4}-\d{2}-\d{2}$/.test(v);
+      },
+      message: 'validUntil must be in YYYY-MM-DD format (e.g., 2024-12-31)'
+    }
+  },
+  
+  // Single dates to skip (format: "YYYY-MM-DD")
+  // Holidays from subscribed HolidayCalendars are skipped as well
+  skipDates: [{
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Skip dates must be in YYYY-MM-DD format (e.g., 2024-12-25)']
+  }],
+  
   // Custom cron expression (for advanced patterns)
   customCron: {
     type: String,
@@ -63,10 +127,48 @@ const scheduleSchema = new mongoose.Schema({
     }
   },
   
-  // Start time (format: "HH:MM" like "09:00")
+  // IANA timezone the times and dates are evaluated in (e.g. "Europe/Berlin")
+  // Defaults to the device's timezone, then to TIMEZONE
+  timezone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        try {
+          return !v || Boolean(new Intl.DateTimeFormat('en-US', { timeZone: v }));
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'timezone must be an IANA timezone (e.g., Europe/Berlin)'
+    }
+  },
+  
+  // Absolute start/end (for one-time schedules only)
+  startAt: {
+    type: Date,
+    required: function() {
+      return this.recurrenceType === 'once';
+    }
+  },
+  endAt: {
+    type: Date,
+    required: function() {
+      return this.recurrenceType === 'once';
+    },
+    validate: {
+      validator: function(v) {
+        return !v || !this.startAt || v > this.startAt;
+      },
+      message: 'endAt must be after startAt'
+    }
+  },
+  
+  // Start time (format: "HH:MM" like "09:00", not used by one-time or sun-relative starts)
   startTime: {
     type: String,
-    required: true,
+    required: function() {
+      return this.recurrenceType !== 'once' && !(this.startAnchor && this.startAnchor.event);
+    },
     validate: {
       validator: function(v) {
         // Check if time format is valid (HH:MM)
@@ -76,10 +178,12 @@ const scheduleSchema = new mongoose.Schema({
     }
   },
   
-  // End time (format: "HH:MM" like "17:00")
+  // End time (format: "HH:MM" like "17:00", not used by one-time or sun-relative ends)
   endTime: {
     type: String,
-    required: true,
+    required: function() {
+      return this.recurrenceType !== 'once' && !(this.endAnchor && this.endAnchor.event);
+    },
     validate: {
       validator: function(v) {
         return /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(v);
@@ -88,7 +192,48 @@ const scheduleSchema = new mongoose.Schema({
     }
   },
   
-  // Fan speed to set (1-5)
+  // Start/end relative to a solar event instead of startTime/endTime (recomputed every day)
+  // e.g. startAnchor { event: 'sunset', offsetMinutes: -30 } = 30 minutes before sunset
+  // dawn/dusk are civil twilight
+  startAnchor: {
+    event: {
+      type: String,
+      enum: ['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk']
+    },
+    offsetMinutes: {
+      type: Number,
+      min: -720,
+      max: 720
+    }
+  },
+  endAnchor: {
+    event: {
+      type: String,
+      enum: ['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk']
+    },
+    offsetMinutes: {
+      type: Number,
+      min: -720,
+      max: 720
+    }
+  },
+  
+  // Coordinates the solar events are computed for, when they differ from the
+  // device's (unset: Device.location, looked up whenever the schedule is evaluated)
+  location: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  
+  // Fan speed to set (1-5) - the first step's speed when the schedule has steps
   fanSpeed: {
     type: Number,
     required: true,
@@ -96,37 +241,64 @@ const scheduleSchema = new mongoose.Schema({
     max: 5
   },
   
-  // Is this schedule active?
+  // Optional ramp profile: ordered steps, each starting offsetMinutes after the
+  // window start or beforeEndMinutes before its end (the first starts with the window)
+  // e.g. [{fanSpeed: 5, offsetMinutes: 0}, {fanSpeed: 3, offsetMinutes: 30}, {fanSpeed: 1, beforeEndMinutes: 60}]
+  steps: [{
+    _id: false,
+    fanSpeed: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    },
+    offsetMinutes: {
+      type: Number,
+      min: 0
+    },
+    beforeEndMinutes: {
+      type: Number,
+      min: 0
+    }
+  }],
+  
+  // Priority for overlapping schedules (higher wins, used by the highest_priority policy)
+  priority: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  
+  // UID of the calendar event the schedule was imported from (re-imports update it in place)
+  icalUid: {
+    type: String
+  },
+  
+  // Is this schedule active? (false = paused/disabled, the document and history are kept)
   isActive: {
     type: Boolean,
     default: true
   },
   
-  // Last time this schedule was executed
-  lastExecuted: {
+  // Paused schedules are resumed automatically at this time (null = until resumed)
+  pausedUntil: {
     type: Date,
     default: null
   },
   
-  // Track execution history
-  executionHistory: [{
-    executedAt: Date,
-    status: {
-      type: String,
-      enum: ['success', 'failed', 'retrying']
-    },
-    message: String,
-    retryCount: {
-      type: Number,
-      default: 0
-    }
-  }]
+  // Last time this schedule was executed (executions are kept in ScheduleExecution)
+  lastExecuted: {
+    type: Date,
+    default: null
+  }
 }, {
-  timestamps: true
+  timestamps: { currentTime: () => clock.date() }
 });
 
 // Create compound index for efficient queries
 scheduleSchema.index({ deviceId: 1, day: 1, startTime: 1 });
+scheduleSchema.index({ deviceId: 1, icalUid: 1 }, { sparse: true });
 
 const Schedule = mongoose.model('Schedule', scheduleSchema);
 
@@ -0,0 +1,188 @@
+/**
+ * MongoDB Schema for Schedule Executions
+ *
+ * One document per schedule start/end (or skipped occurrence), linked to the
+ * CommandLog entry of the command it sent. Replaces the embedded
+ * Schedule.executionHistory array, which grew without bound.
+ */
+
+const mongoose = require('mongoose');
+const clock = require('../utils/clock');
+const recurrence = require('../utils/recurrence');
+
+const scheduleExecutionSchema = new mongoose.Schema({
+  // Schedule that ran
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: true
+  },
+
+  // Target device
+  deviceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Window start, ramp step or window end
+  phase: {
+    type: String,
+    enum: ['start', 'step', 'end'],
+    default: 'start'
+  },
+
+  // Occurrence the execution belongs to (format: "YYYY-MM-DD" in the schedule timezone)
+  occurrenceDate: {
+    type: String
+  },
+
+  // Outcome:
+  // success    - command acknowledged by the device
+  // queued     - device offline, command waits in its offline queue
+  // superseded - a newer command replaced it before it was sent
+  // blocked    - not sent (pre-clean active, or another schedule won the overlap)
+  // skipped    - occurrence cancelled (date range, skip date, holiday)
+  // failed     - command failed or timed out
+  status: {
+    type: String,
+    required: true,
+    enum: ['success', 'queued', 'superseded', 'blocked', 'skipped', 'failed'],
+    index: true
+  },
+
+  // Why it was skipped (not_started, expired, skip_date, holiday) or blocked (preclean, overlap)
+  reason: {
+    type: String
+  },
+
+  message: {
+    type: String
+  },
+
+  // Command sent (see CommandLog.commandId)
+  action: {
+    type: String
+  },
+  value: {
+    type: Number
+  },
+  commandId: {
+    type: String,
+    index: true
+  },
+
+  // 1 = first try, 2+ = retries of a failed start
+  attempt: {
+    type: Number,
+    default: 1
+  },
+
+  // When a failed start is tried again (null = no retry left in the window)
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+
+  // Applied by startup/reconnect catch-up instead of the start timer
+  catchUp: {
+    type: Boolean,
+    default: false
+  },
+
+  executedAt: {
+    type: Date,
+    default: () => clock.date()
+  }
+}, {
+  timestamps: { currentTime: () => clock.date() },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// The CommandLog entry of the command (populate('command'))
+scheduleExecutionSchema.virtual('command', {
+  ref: 'CommandLog',
+  localField: 'commandId',
+  foreignField: 'commandId',
+  justOne: true
+});
+
+// Index for a schedule's history (newest first)
+scheduleExecutionSchema.index({ scheduleId: 1, executedAt: -1 });
+scheduleExecutionSchema.index({ deviceId: 1, executedAt: -1 });
+
+// Static method to get one page of executions (newest first) with the total count
+scheduleExecutionSchema.statics.findPage = async function(query, { page = 1, limit = 20 } = {}) {
+  const [executions, total] = await Promise.all([
+    this.find(query)
+      .sort({ executedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('command', 'commandId status sentAt acknowledgedAt retryCount errorMessage'),
+    this.countDocuments(query)
+  ]);
+
+  return { executions, total };
+};
+
+// Static method to move the old embedded Schedule.executionHistory arrays into this collection
+//
+// Runs on startup. Entries are upserted (so an interrupted run can simply run
+// again) and the array is removed from each schedule once it has been copied.
+// Old entries were all start runs; 'retrying' became a failed attempt.
+scheduleExecutionSchema.statics.migrateEmbeddedHistory = async function() {
+  const schedules = mongoose.model('Schedule').collection;
+  const cursor = schedules.find(
+    { executionHistory: { $exists: true } },
+    { projection: { deviceId: 1, timezone: 1, executionHistory: 1 } }
+  );
+  let migrated = 0;
+
+  for await (const schedule of cursor) {
+    const ops = (schedule.executionHistory || []).map((entry) => {
+      const executedAt = entry.executedAt || schedule._id.getTimestamp();
+
+      // Skips were recorded as "YYYY-MM-DD: reason"
+      const skippedDate = /^(\d{4}-\d{2}-\d{2}):/.exec(entry.message || '');
+      const occurrenceDate = skippedDate
+        ? skippedDate[1]
+        : recurrence.formatDate(recurrence.localParts(executedAt, recurrence.timeZoneOf(schedule)));
+
+      const execution = {
+        scheduleId: schedule._id,
+        deviceId: schedule.deviceId,
+        phase: 'start',
+        occurrenceDate,
+        status: entry.status === 'retrying' ? 'failed' : entry.status,
+        reason: entry.reason,
+        message: entry.message,
+        attempt: (entry.retryCount || 0) + 1,
+        catchUp: Boolean(entry.catchUp),
+        executedAt,
+        createdAt: executedAt,
+        updatedAt: executedAt
+      };
+
+      return {
+        updateOne: {
+          filter: { scheduleId: schedule._id, executedAt, status: execution.status, message: entry.message },
+          update: { $setOnInsert: execution },
+          upsert: true
+        }
+      };
+    });
+
+    if (ops.length > 0) {
+      await this.collection.bulkWrite(ops, { ordered: false });
+    }
+    await schedules.updateOne({ _id: schedule._id }, { $unset: { executionHistory: '' } });
+    migrated += ops.length;
+  }
+
+  return migrated;
+};
+
+const ScheduleExecution = mongoose.model('ScheduleExecution', scheduleExecutionSchema);
+
+module.exports = ScheduleExecution;
@@ -0,0 +1,266 @@
+/**
+ * Development API Routes
+ *
+ * Virtual clock for exercising schedules and pre-cleans against the device
+ * simulator without waiting for wall-clock time. Only mounted when
+ * NODE_ENV=development, and only on a single node (the clock lives in the
+ * process, so cluster followers would not see it).
+ *
+ * Example - run a whole day of schedules in seconds:
+ * - POST /api/dev/clock/freeze  { "at": "2026-11-02T00:00" }
+ * - POST /api/dev/clock/advance { "hours": 24 }
+ * - GET  /api/schedule/:scheduleId/executions
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const clock = require('../utils/clock');
+const recurrence = require('../utils/recurrence');
+const schedulerService = require('../services/schedulerService');
+const clusterService = require('../services/clusterService');
+
+/**
+ * Parse the instant in a request body (sends 400 and returns null if invalid)
+ *
+ * Accepts ISO 8601 with an offset or a local "YYYY-MM-DDTHH:MM" read in the
+ * given (or server) timezone.
+ */
+function parseAt(body, res) {
+  const { at, timezone } = body;
+
+  if (timezone && !recurrence.isValidTimeZone(timezone)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown timezone: ${timezone}`
+    });
+    return null;
+  }
+
+  const date = recurrence.parseDateTime(at, timezone || recurrence.defaultTimeZone());
+  if (!date) {
+    res.status(400).json({
+      success: false,
+      error: 'at must be an ISO 8601 datetime or "YYYY-MM-DDTHH:MM"'
+    });
+  }
+
+  return date;
+}
+
+// The virtual clock is per process
+router.use((req, res, next) => {
+  if (clusterService.enabled) {
+    return res.status(409).json({
+      success: false,
+      error: 'The virtual clock is only available with clustering disabled'
+    });
+  }
+
+  // Timer callbacks are still running at intermediate times
+  if (req.method !== 'GET' && clock.advancing) {
+    return res.status(409).json({
+      success: false,
+      error: 'The clock is being advanced - try again when it finishes'
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/dev/clock
+ * Current (virtual) time and pending timers
+ */
+router.get('/clock', (req, res) => {
+  res.json({
+    success: true,
+    data: clock.status()
+  });
+});
+
+/**
+ * POST /api/dev/clock/freeze
+ * Stop time (timers wait until the clock is advanced or resumed)
+ *
+ * Request Body (optional):
+ * {
+ *   "at": "2026-11-02T08:00",       // freeze at this instant (moving forward fires due timers)
+ *   "timezone": "Asia/Kolkata"      // for a local "at" (default: server timezone)
+ * }
+ */
+router.post('/clock/freeze', async (req, res) => {
+  try {
+    const before = clock.now();
+    let fired = 0;
+
+    if (req.body.at !== undefined) {
+      const at = parseAt(req.body, res);
+      if (!at) return;
+
+      fired = await clock.set(at);
+    }
+    clock.freeze();
+
+    if (clock.now() < before) {
+      await schedulerService.rearmAll();
+    }
+
+    res.json({
+      success: true,
+      message: `Clock frozen at ${clock.date().toISOString()}`,
+      fired,
+      data: clock.status()
+    });
+
+  } catch (error) {
+    logger.error('Error trying to freeze the clock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to freeze the clock',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dev/clock/resume
+ * Let a frozen clock run again from its current time
+ */
+router.post('/clock/resume', (req, res) => {
+  try {
+    clock.resume();
+
+    res.json({
+      success: true,
+      message: `Clock running from ${clock.date().toISOString()}`,
+      data: clock.status()
+    });
+
+  } catch (error) {
+    logger.error('Error trying to resume the clock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume the clock',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dev/clock/advance
+ * Move the clock forward, firing every schedule and pre-clean timer due on the way
+ *
+ * Request Body (any combination, at least one):
+ * {
+ *   "days": 1,
+ *   "hours": 2,
+ *   "minutes": 30,
+ *   "seconds": 15
+ * }
+ *
+ * Commands still wait for real device acks, so advance against the simulator.
+ */
+router.post('/clock/advance', async (req, res) => {
+  try {
+    const units = { days: 86400000, hours: 3600000, minutes: 60000, seconds: 1000 };
+    const given = Object.keys(units).filter(unit => req.body[unit] !== undefined);
+
+    if (given.length === 0 || given.some(unit => typeof req.body[unit] !== 'number' || !(req.body[unit] >= 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide days, hours, minutes and/or seconds as non-negative numbers'
+      });
+    }
+
+    const ms = given.reduce((total, unit) => total + req.body[unit] * units[unit], 0);
+    const fired = await clock.advance(ms);
+
+    res.json({
+      success: true,
+      message: `Clock advanced to ${clock.date().toISOString()}`,
+      fired,
+      data: clock.status()
+    });
+
+  } catch (error) {
+    logger.error('Error trying to advance the clock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to advance the clock',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dev/clock/set
+ * Set the clock to an instant (it keeps running unless frozen)
+ *
+ * Moving forward fires the timers due on the way; moving back re-arms all
+ * schedules from the new time.
+ *
+ * Request Body:
+ * {
+ *   "at": "2026-11-02T08:00:00Z",
+ *   "timezone": "Asia/Kolkata"      // optional, for a local "at"
+ * }
+ */
+router.post('/clock/set', async (req, res) => {
+  try {
+    const at = parseAt(req.body, res);
+    if (!at) return;
+
+    const before = clock.now();
+    const fired = await clock.set(at);
+
+    if (clock.now() < before) {
+      await schedulerService.rearmAll();
+    }
+
+    res.json({
+      success: true,
+      message: `Clock set to ${clock.date().toISOString()}`,
+      fired,
+      data: clock.status()
+    });
+
+  } catch (error) {
+    logger.error('Error trying to set the clock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set the clock',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/dev/clock/reset
+ * Return to the system clock (timers that became due fire right away)
+ */
+router.post('/clock/reset', async (req, res) => {
+  try {
+    const before = clock.now();
+    clock.reset();
+
+    if (clock.now() < before) {
+      await schedulerService.rearmAll();
+    }
+
+    res.json({
+      success: true,
+      message: 'Clock reset to system time',
+      data: clock.status()
+    });
+
+  } catch (error) {
+    logger.error('Error trying to reset the clock:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset the clock',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Device = require('../models/Device');
 const logger = require('../utils/logger');
+const recurrence = require('../utils/recurrence');
+const ingestionService = require('../services/ingestionService');
+const schedulerService = require('../services/schedulerService');
 
 /**
  * Register a new device
@@ -14,9 +17,18 @@ router.post('/register', async (req, res) => {
       type,
       location,
       specifications,
-      owner
+      owner,
+      schedulePolicy,
+      timezone
     } = req.body;
 
+    if (timezone !== undefined && !recurrence.isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid timezone. Use an IANA timezone (e.g., America/New_York)'
+      });
+    }
+
     // Check if device already exists
     const existingDevice = await Device.findOne({ deviceId });
     if (existingDevice) {
@@ -33,7 +45,9 @@ router.post('/register', async (req, res) => {
       type,
       location,
       specifications,
-      owner
+      owner,
+      schedulePolicy,
+      timezone
     });
 
     await device.save();
@@ -141,6 +155,11 @@ router.put('/:deviceId', async (req, res) => {
 
     logger.info(`Device updated: ${deviceId}`);
 
+    // Sun-relative schedules follow the device location (and its timezone)
+    if (Object.keys(updates).some(key => key === 'timezone' || key.split('.')[0] === 'location')) {
+      await schedulerService.rearmDevice(deviceId);
+    }
+
     res.json({
       success: true,
       message: 'Device updated successfully',
@@ -172,6 +191,9 @@ router.delete('/:deviceId', async (req, res) => {
       });
     }
 
+    // Let the device be auto-registered again if it keeps publishing
+    ingestionService.forgetDevice(deviceId);
+
     logger.info(`Device deleted: ${deviceId}`);
 
     res.json({
@@ -130,6 +130,52 @@ router.get('/:deviceId/state', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/device/:deviceId/shadow
+ * Get the device shadow (desired vs reported state and the delta between them)
+ */
+router.get('/:deviceId/shadow', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    
+    logger.info(`Fetching shadow for device: ${deviceId}`);
+    
+    const deviceState = await DeviceState.findOne({ deviceId });
+    
+    if (!deviceState) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+    
+    const delta = deviceState.getDelta();
+    
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        desired: deviceState.desired || {},
+        reported: deviceState.reported || {},
+        delta,
+        inSync: Object.keys(delta).length === 0,
+        metadata: {
+          isOnline: deviceState.isOnline,
+          lastSeen: deviceState.lastSeen
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching device shadow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch device shadow',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/device/:deviceId/commands
  * Get command history for a device
@@ -161,6 +207,43 @@ router.get('/:deviceId/commands', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/device/:deviceId/queue
+ * Get commands waiting in the offline queue for a device (oldest first)
+ */
+router.get('/:deviceId/queue', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    
+    logger.info(`Fetching command queue for device: ${deviceId}`);
+    
+    const queued = await CommandLog.findQueued(deviceId);
+    const now = new Date();
+    
+    res.json({
+      success: true,
+      count: queued.length,
+      data: queued.map(command => ({
+        commandId: command.commandId,
+        action: command.action,
+        value: command.value,
+        source: command.source,
+        queuedAt: command.queuedAt,
+        expiresAt: command.expiresAt,
+        expired: Boolean(command.expiresAt && command.expiresAt <= now)
+      }))
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching command queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch command queue',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/device/:deviceId/statistics
  * Get statistics for a device
@@ -0,0 +1,302 @@
+/**
+ * Holiday Calendar API Routes
+ *
+ * Shared holiday calendars that devices or organizations subscribe to.
+ * Schedules skip occurrences starting on a holiday of a subscribed calendar.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const logger = require('../utils/logger');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const Device = require('../models/Device');
+const recurrence = require('../utils/recurrence');
+
+/**
+ * Load a calendar by ID (sends 404 and returns null if missing)
+ */
+async function findCalendar(id, res) {
+  const calendar = mongoose.isValidObjectId(id)
+    ? await HolidayCalendar.findById(id)
+    : null;
+
+  if (!calendar) {
+    res.status(404).json({
+      success: false,
+      error: 'Holiday calendar not found'
+    });
+  }
+
+  return calendar;
+}
+
+/**
+ * Validate a holidays array
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateHolidays(holidays) {
+  if (!Array.isArray(holidays)) {
+    return 'holidays must be an array';
+  }
+
+  const invalid = holidays.find(h => !h || !h.name || !recurrence.parseDate(h.date));
+  if (invalid) {
+    return 'Each holiday needs a name and a date in YYYY-MM-DD format';
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/holidays
+ * Create a holiday calendar
+ *
+ * Request Body:
+ * {
+ *   "name": "Office closures",
+ *   "description": "Company-wide closed days",
+ *   "holidays": [{ "date": "2024-12-25", "name": "Christmas" }],
+ *   "subscribers": { "deviceIds": ["AIR_PURIFIER_001"], "organizationIds": ["ORG_1"] }
+ * }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, holidays = [], subscribers = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['name']
+      });
+    }
+
+    const holidayError = validateHolidays(holidays);
+    if (holidayError) {
+      return res.status(400).json({
+        success: false,
+        error: holidayError
+      });
+    }
+
+    const existing = await HolidayCalendar.findOne({ name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A holiday calendar with this name already exists'
+      });
+    }
+
+    const calendar = await HolidayCalendar.create({
+      name,
+      description,
+      holidays,
+      subscribers: {
+        deviceIds: subscribers.deviceIds || [],
+        organizationIds: subscribers.organizationIds || []
+      }
+    });
+
+    logger.info(`Holiday calendar created: ${name} (${holidays.length} holidays)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday calendar created successfully',
+      data: calendar
+    });
+
+  } catch (error) {
+    logger.error('Error creating holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/holidays
+ * List holiday calendars
+ *
+ * Query Parameters:
+ * - deviceId: Only calendars the device follows (directly or via its organization)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { deviceId } = req.query;
+
+    let calendars;
+    if (deviceId) {
+      const device = await Device.findOne({ deviceId }).select('owner');
+      calendars = await HolidayCalendar.findForDevice(deviceId, device?.owner?.organizationId);
+    } else {
+      calendars = await HolidayCalendar.find().sort({ name: 1 });
+    }
+
+    res.json({
+      success: true,
+      count: calendars.length,
+      data: calendars
+    });
+
+  } catch (error) {
+    logger.error('Error fetching holiday calendars:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holiday calendars',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/holidays/:calendarId
+ * Get a holiday calendar
+ */
+router.get('/:calendarId', async (req, res) => {
+  try {
+    const calendar = await findCalendar(req.params.calendarId, res);
+    if (!calendar) return;
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+
+  } catch (error) {
+    logger.error('Error fetching holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/holidays/:calendarId
+ * Update a calendar's name, description or holidays
+ */
+router.put('/:calendarId', async (req, res) => {
+  try {
+    const calendar = await findCalendar(req.params.calendarId, res);
+    if (!calendar) return;
+
+    const { name, description, holidays } = req.body;
+
+    if (holidays !== undefined) {
+      const holidayError = validateHolidays(holidays);
+      if (holidayError) {
+        return res.status(400).json({
+          success: false,
+          error: holidayError
+        });
+      }
+      calendar.holidays = holidays;
+    }
+
+    if (name !== undefined) calendar.name = name;
+    if (description !== undefined) calendar.description = description;
+
+    await calendar.save();
+    logger.info(`Holiday calendar updated: ${calendar.name}`);
+
+    res.json({
+      success: true,
+      message: 'Holiday calendar updated successfully',
+      data: calendar
+    });
+
+  } catch (error) {
+    logger.error('Error updating holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/holidays/:calendarId
+ * Delete a holiday calendar
+ */
+router.delete('/:calendarId', async (req, res) => {
+  try {
+    const calendar = await findCalendar(req.params.calendarId, res);
+    if (!calendar) return;
+
+    await calendar.deleteOne();
+    logger.info(`Holiday calendar deleted: ${calendar.name}`);
+
+    res.json({
+      success: true,
+      message: 'Holiday calendar deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting holiday calendar:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/holidays/:calendarId/subscribe
+ * POST /api/holidays/:calendarId/unsubscribe
+ * Add or remove a device or organization
+ *
+ * Request Body:
+ * { "deviceId": "AIR_PURIFIER_001" }  or  { "organizationId": "ORG_1" }
+ */
+router.post('/:calendarId/:action(subscribe|unsubscribe)', async (req, res) => {
+  try {
+    const { deviceId, organizationId } = req.body;
+    const { action } = req.params;
+
+    if (!deviceId && !organizationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide deviceId or organizationId'
+      });
+    }
+
+    const calendar = await findCalendar(req.params.calendarId, res);
+    if (!calendar) return;
+
+    const operator = action === 'subscribe' ? '$addToSet' : '$pull';
+    const change = {};
+    if (deviceId) change['subscribers.deviceIds'] = deviceId;
+    if (organizationId) change['subscribers.organizationIds'] = organizationId;
+
+    const updated = await HolidayCalendar.findByIdAndUpdate(
+      calendar._id,
+      { [operator]: change },
+      { new: true }
+    );
+
+    logger.info(`Holiday calendar ${calendar.name}: ${action} ${deviceId || ''}${organizationId || ''}`);
+
+    res.json({
+      success: true,
+      message: `${action === 'subscribe' ? 'Subscribed' : 'Unsubscribed'} successfully`,
+      data: updated
+    });
+
+  } catch (error) {
+    logger.error('Error updating holiday calendar subscribers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update subscribers',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Metrics API Routes
+ *
+ * Operational metrics for the backend (sensor data ingestion throughput,
+ * lag and buffer state).
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const mqttService = require('../services/mqttService');
+const ingestionService = require('../services/ingestionService');
+
+/**
+ * GET /api/metrics
+ * All backend metrics
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ingestion: ingestionService.getMetrics(),
+        mqtt: {
+          connected: mqttService.isConnected,
+          pendingCommands: mqttService.pendingCommands.size,
+          onlineDevices: mqttService.onlineDevices.size,
+          devicesWithQueuedCommands: mqttService.queuedDevices.size
+        },
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch metrics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/metrics/ingestion
+ * Sensor data ingestion metrics
+ */
+router.get('/ingestion', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: ingestionService.getMetrics()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching ingestion metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ingestion metrics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
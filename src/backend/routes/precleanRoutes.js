@@ -23,6 +23,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const preCleanService = require('../services/preCleanService');
+const clock = require('../utils/clock');
 
 
 
@@ -171,7 +172,7 @@ router.get('/status/:deviceId', async (req, res) => {
     
     if (activePreCleans.length > 0) {
       const preClean = activePreCleans[0]; // Get the first active one
-      const remainingSeconds = Math.ceil((preClean.scheduledEndAt - new Date()) / 1000);
+      const remainingSeconds = Math.ceil((preClean.scheduledEndAt - clock.date()) / 1000);
       
       res.json({
         success: true,
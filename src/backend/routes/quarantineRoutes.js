@@ -0,0 +1,180 @@
+/**
+ * Quarantine API Routes
+ *
+ * Inspect and replay MQTT messages that failed payload validation.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const logger = require('../utils/logger');
+const mqttService = require('../services/mqttService');
+const QuarantinedMessage = require('../models/QuarantinedMessage');
+
+/**
+ * Load a quarantined message by ID (sends 404 and returns null if missing)
+ */
+async function findQuarantined(id, res) {
+  const quarantined = mongoose.isValidObjectId(id)
+    ? await QuarantinedMessage.findById(id)
+    : null;
+
+  if (!quarantined) {
+    res.status(404).json({
+      success: false,
+      error: 'Quarantined message not found'
+    });
+  }
+
+  return quarantined;
+}
+
+/**
+ * GET /api/quarantine
+ * List quarantined messages (newest first)
+ *
+ * Query Parameters:
+ * - deviceId: Filter by device
+ * - reason: Filter by rejection reason
+ * - status: quarantined | replayed (default: quarantined)
+ * - limit: Number of records to return (default: 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { deviceId, reason, status = 'quarantined', limit = 50 } = req.query;
+
+    const query = { status };
+    if (deviceId) query.deviceId = deviceId;
+    if (reason) query.reason = reason;
+
+    const messages = await QuarantinedMessage.find(query)
+      .sort({ receivedAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+
+  } catch (error) {
+    logger.error('Error fetching quarantined messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quarantined messages',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/quarantine/:id
+ * Get a quarantined message
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const quarantined = await findQuarantined(req.params.id, res);
+    if (!quarantined) return;
+
+    res.json({
+      success: true,
+      data: quarantined
+    });
+
+  } catch (error) {
+    logger.error('Error fetching quarantined message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch quarantined message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/quarantine/:id/replay
+ * Re-validate and process a quarantined message
+ *
+ * Request Body (optional):
+ * {
+ *   "payload": { ...corrected payload... }
+ * }
+ */
+router.post('/:id/replay', async (req, res) => {
+  try {
+    const quarantined = await findQuarantined(req.params.id, res);
+    if (!quarantined) return;
+
+    if (quarantined.status !== 'quarantined') {
+      return res.status(409).json({
+        success: false,
+        error: 'Message has already been (or is being) replayed'
+      });
+    }
+
+    logger.info(`Replaying quarantined message ${quarantined._id}`);
+
+    const result = await mqttService.replayQuarantinedMessage(quarantined, req.body.payload || quarantined.payload);
+
+    // Another replay claimed it after the check above
+    if (result.reason === 'already_replayed') {
+      return res.status(409).json({
+        success: false,
+        error: result.errors[0]
+      });
+    }
+
+    if (!result.success) {
+      return res.status(422).json({
+        success: false,
+        error: 'Payload still fails validation',
+        reason: result.reason,
+        errors: result.errors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Message replayed successfully',
+      data: result.message
+    });
+
+  } catch (error) {
+    logger.error('Error replaying quarantined message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay quarantined message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/quarantine/:id
+ * Discard a quarantined message
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const quarantined = await findQuarantined(req.params.id, res);
+    if (!quarantined) return;
+
+    await QuarantinedMessage.deleteOne({ _id: quarantined._id });
+
+    logger.info(`Discarded quarantined message ${quarantined._id}`);
+
+    res.json({
+      success: true,
+      message: 'Quarantined message discarded'
+    });
+
+  } catch (error) {
+    logger.error('Error discarding quarantined message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard quarantined message',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -6,40 +6,171 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const logger = require('../utils/logger');
 const schedulerService = require('../services/schedulerService');
 const Schedule = require('../models/Schedule');
+const ScheduleExecution = require('../models/ScheduleExecution');
 const mqttService = require('../services/mqttService');
+const recurrence = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const solar = require('../utils/solar');
+const clock = require('../utils/clock');
+
+// Longest range the timeline endpoint computes
+const MAX_TIMELINE_DAYS = 31;
+
+/**
+ * Validate validFrom/validUntil/skipDates of a request body
+ * 
+ * @returns {string|null} Error message, or null if the dates are valid
+ */
+function validateDateRange({ validFrom, validUntil, skipDates }) {
+  if (validFrom !== undefined && validFrom !== null && !recurrence.parseDate(validFrom)) {
+    return 'Invalid validFrom. Use YYYY-MM-DD (e.g., 2024-01-01)';
+  }
+  
+  if (validUntil !== undefined && validUntil !== null && !recurrence.parseDate(validUntil)) {
+    return 'Invalid validUntil. Use YYYY-MM-DD (e.g., 2024-12-31)';
+  }
+  
+  if (validFrom && validUntil && validFrom > validUntil) {
+    return 'validUntil must not be before validFrom';
+  }
+  
+  if (skipDates !== undefined) {
+    if (!Array.isArray(skipDates) || skipDates.some(d => !recurrence.parseDate(d))) {
+      return 'skipDates must be an array of YYYY-MM-DD dates';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate the location of a sun-relative schedule
+ * 
+ * @returns {string|null} Error message, or null if the coordinates are valid
+ */
+function validateLocation(location) {
+  const { latitude, longitude } = location || {};
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90
+    || typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    return 'location must be { "latitude": -90..90, "longitude": -180..180 }';
+  }
+  return null;
+}
+
+/**
+ * Validate startAnchor/endAnchor of a request body
+ * 
+ * @returns {string|null} Error message, or null if the anchors are valid
+ */
+function validateAnchors({ startAnchor, endAnchor }) {
+  for (const [field, anchor] of [['startAnchor', startAnchor], ['endAnchor', endAnchor]]) {
+    const error = anchor !== undefined && anchor !== null && recurrence.validateAnchor(anchor);
+    if (error) {
+      return `Invalid ${field}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a from/to query parameter ("YYYY-MM-DD" = local midnight, or a datetime)
+ * 
+ * @param {string} timeZone - Timezone local dates and times are read in
+ * @returns {Date|null} The instant, the fallback if missing, or null if invalid
+ */
+function parseInstant(value, fallback, timeZone) {
+  if (value === undefined) {
+    return fallback;
+  }
+  
+  const date = recurrence.parseDate(value);
+  return date ? recurrence.zonedDate(date, timeZone) : recurrence.parseDateTime(value, timeZone);
+}
 
 /**
  * POST /api/schedule
- * Create a new recurring schedule
+ * Create a new recurring (or one-time) schedule
  * 
  * Request Body:
  * {
  *   "deviceId": "AIR_PURIFIER_001",
  *   "day": "Monday",
  *   "startTime": "09:00",
- *   "endTime": "17:00",
- *   "fanSpeed": 3
+ *   "endTime": "17:00",          // earlier than startTime = overnight (ends next day)
+ *   "fanSpeed": 3,
+ *   "priority": 10,             // optional: 0-100, higher wins under the highest_priority policy
+ *   "interval": 2,              // optional: every N days/weeks/months
+ *   "monthlyRule": {            // optional, monthly only (see below)
+ *     "kind": "nthWeekday", "nth": 2, "weekday": "Tuesday"
+ *   },
+ *   "anchorDate": "2024-01-01", // optional: intervals are counted from this date (default: today)
+ *   "validFrom": "2024-01-01",  // optional: first date the schedule runs
+ *   "validUntil": "2024-06-30", // optional: last date the schedule runs (deactivated afterwards)
+ *   "skipDates": ["2024-03-29"], // optional: dates to skip (holiday calendars are skipped too)
+ *   "timezone": "Europe/Berlin" // optional: IANA timezone (default: the device's, then TIMEZONE)
  * }
+ *
+ * Ramp profile (replaces fanSpeed): speed 5 for 30 minutes, then 3, then 1 for the last hour
+ *   "steps": [
+ *     { "fanSpeed": 5, "offsetMinutes": 0 },
+ *     { "fanSpeed": 3, "offsetMinutes": 30 },
+ *     { "fanSpeed": 1, "beforeEndMinutes": 60 }
+ *   ]
+ *
+ * Sun-relative window (replaces startTime and/or endTime): 30 minutes before sunset until 23:00
+ *   "startAnchor": { "event": "sunset", "offsetMinutes": -30 },   // dawn, sunrise, solarNoon, sunset, dusk
+ *   "endTime": "23:00",
+ *   "location": { "latitude": 40.71, "longitude": -74.01 }    // optional: default follows Device.location
+ *
+ * One-time schedule (startTime/endTime/day are not used):
+ * {
+ *   "deviceId": "AIR_PURIFIER_001",
+ *   "recurrenceType": "once",
+ *   "startAt": "2026-11-02T14:00",   // local time in the schedule timezone, or ISO 8601 with offset
+ *   "endAt": "2026-11-02T16:00",
+ *   "fanSpeed": 4
+ * }
+ *
+ * Overlaps with the device's other schedules are returned in "conflicts".
+ * With the device policy reject_overlaps the schedule is not created (409).
+ *
+ * Monthly rules:
+ *   { "kind": "dayOfMonth", "dayOfMonth": 15 }           // 15th (months without it are skipped)
+ *   { "kind": "nthWeekday", "nth": 2, "weekday": "Tuesday" }  // 2nd Tuesday
+ *   { "kind": "lastWeekday", "weekday": "Friday" }      // last Friday
+ *   { "kind": "lastDay" }                               // last day of the month
  */
 router.post('/', async (req, res) => {
   try {
-    const { deviceId, recurrenceType = 'weekly', day, days, interval = 1, customCron, startTime, endTime, fanSpeed } = req.body;
+    const { deviceId, recurrenceType = 'weekly', day, days, interval = 1, monthlyRule, anchorDate, validFrom, validUntil, skipDates, customCron, startTime, endTime, startAt, endAt, timezone, steps, startAnchor, endAnchor, priority = 0 } = req.body;
+    const isOnce = recurrenceType === 'once';
+    const isSolar = !isOnce && Boolean(startAnchor || endAnchor);
+    
+    // A ramp profile starts at its first step's speed
+    const fanSpeed = Array.isArray(steps) && steps.length > 0 && steps[0] ? steps[0].fanSpeed : req.body.fanSpeed;
     
-    // Validate required fields
-    if (!deviceId || !startTime || !endTime || !fanSpeed) {
+    // Validate required fields (one-time schedules use absolute startAt/endAt, anchors
+    // replace startTime/endTime, steps replace fanSpeed)
+    const required = [
+      'deviceId',
+      ...(isOnce ? ['startAt', 'endAt'] : [startAnchor ? 'startAnchor' : 'startTime', endAnchor ? 'endAnchor' : 'endTime']),
+      ...(steps === undefined ? ['fanSpeed'] : ['steps'])
+    ];
+    if (required.some(field => !req.body[field])) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        required: ['deviceId', 'startTime', 'endTime', 'fanSpeed']
+        required
       });
     }
     
     // Validate recurrence type
-    const validRecurrenceTypes = ['daily', 'weekly', 'monthly', 'custom'];
+    const validRecurrenceTypes = ['daily', 'weekly', 'monthly', 'custom', 'once'];
     if (!validRecurrenceTypes.includes(recurrenceType)) {
       return res.status(400).json({
         success: false,
@@ -63,6 +194,25 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (monthlyRule !== undefined) {
+      if (recurrenceType !== 'monthly') {
+        return res.status(400).json({
+          success: false,
+          error: 'monthlyRule is only allowed for monthly recurrence'
+        });
+      }
+      
+      const ruleError = recurrence.validateMonthlyRule(monthlyRule);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid monthlyRule',
+          message: ruleError,
+          validKinds: recurrence.MONTHLY_RULE_KINDS
+        });
+      }
+    }
+    
     // Validate day/days
     const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
     if (day && !validDays.includes(day)) {
@@ -81,9 +231,99 @@ router.post('/', async (req, res) => {
       });
     }
     
+    // Validate interval and anchor date
+    if (!Number.isInteger(Number(interval)) || interval < 1 || interval > 365) {
+      return res.status(400).json({
+        success: false,
+        error: 'Interval must be a whole number between 1 and 365'
+      });
+    }
+    
+    if (anchorDate !== undefined && !recurrence.parseDate(anchorDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid anchorDate. Use YYYY-MM-DD (e.g., 2024-01-01)'
+      });
+    }
+    
+    const rangeError = validateDateRange({ validFrom, validUntil, skipDates });
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+    
+    if (timezone !== undefined && !recurrence.isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone. Use an IANA timezone (e.g., Europe/Berlin)'
+      });
+    }
+    
+    if (isOnce && (startAnchor || endAnchor)) {
+      return res.status(400).json({
+        success: false,
+        error: 'startAnchor/endAnchor are not allowed for one-time schedules'
+      });
+    }
+    
+    const anchorError = validateAnchors({ startAnchor, endAnchor });
+    if (anchorError) {
+      return res.status(400).json({
+        success: false,
+        error: anchorError,
+        validEvents: solar.SOLAR_EVENTS
+      });
+    }
+    
+    // Solar events are computed for the device location, unless the schedule has its own
+    const location = isSolar ? req.body.location : undefined;
+    if (isSolar && location === undefined && !await schedulerService.loadLocation(deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sun-relative schedules need a location. Set the device location (latitude/longitude) or pass location'
+      });
+    }
+    
+    const locationError = location !== undefined && validateLocation(location);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        error: locationError
+      });
+    }
+    
+    // Times and dates are evaluated in this timezone
+    const timeZone = timezone || await schedulerService.loadTimeZone(deviceId);
+    
+    // Validate one-time window
+    const startDate = isOnce ? recurrence.parseDateTime(startAt, timeZone) : undefined;
+    const endDate = isOnce ? recurrence.parseDateTime(endAt, timeZone) : undefined;
+    if (isOnce && (!startDate || !endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid startAt/endAt. Use YYYY-MM-DDTHH:MM (${timeZone}) or ISO 8601 with offset`
+      });
+    }
+    
+    if (isOnce && endDate <= startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'endAt must be after startAt'
+      });
+    }
+    
+    if (isOnce && endDate <= clock.date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'endAt is in the past'
+      });
+    }
+    
     // Validate time format (HH:MM)
     const timeRegex = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+    if (!isOnce && ((!startAnchor && !timeRegex.test(startTime)) || (!endAnchor && !timeRegex.test(endTime)))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid time format. Use HH:MM (e.g., 09:00)'
@@ -98,34 +338,75 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Validate that end time is after start time
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMinute;
-    const endMinutes = endHour * 60 + endMinute;
+    if (!Number.isInteger(Number(priority)) || priority < 0 || priority > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Priority must be a whole number between 0 and 100'
+      });
+    }
     
-    if (endMinutes <= startMinutes) {
+    // An end time before the start time is an overnight window (e.g. 22:00-06:00)
+    if (!isOnce && !isSolar && startTime === endTime) {
       return res.status(400).json({
         success: false,
-        error: 'End time must be after start time'
+        error: 'End time must differ from start time'
       });
     }
     
-    logger.info('Creating new schedule:', { deviceId, recurrenceType, day, days, interval, startTime, endTime, fanSpeed });
+    if (steps !== undefined) {
+      const stepsError = recurrence.validateSteps(steps, recurrence.windowMinutes({ recurrenceType, startTime, endTime, startAnchor, endAnchor, startAt: startDate, endAt: endDate }));
+      if (stepsError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid steps',
+          message: stepsError
+        });
+      }
+    }
+    
+    logger.info('Creating new schedule:', { deviceId, recurrenceType, day, days, interval, monthlyRule, anchorDate, startTime, endTime, startAt: startDate, endAt: endDate, startAnchor, endAnchor, location, timezone: timeZone, fanSpeed, steps, priority });
     
-    // Create schedule using scheduler service
-    const schedule = await schedulerService.addSchedule({
+    const scheduleData = {
       deviceId,
       recurrenceType,
       day,
       days,
-      interval,
+      interval: Number(interval),
+      monthlyRule,
+      anchorDate: anchorDate || recurrence.formatDate(recurrence.localParts(clock.date(), timeZone)),
+      validFrom,
+      validUntil,
+      skipDates,
       customCron,
-      startTime,
-      endTime,
+      startTime: isOnce || startAnchor ? undefined : startTime,
+      endTime: isOnce || endAnchor ? undefined : endTime,
+      startAt: startDate,
+      endAt: endDate,
+      startAnchor,
+      endAnchor,
+      location,
+      timezone: timeZone,
       fanSpeed,
+      steps,
+      priority: Number(priority),
       isActive: true
-    });
+    };
+    
+    // Check overlaps with the device's other schedules
+    const conflicts = await schedulerService.findConflicts(new Schedule(scheduleData));
+    const policy = await schedulerService.loadPolicy(deviceId);
+    
+    if (conflicts.length > 0 && policy === 'reject_overlaps') {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule overlaps existing schedules',
+        policy,
+        conflicts
+      });
+    }
+    
+    // Create schedule using scheduler service
+    const schedule = await schedulerService.addSchedule(scheduleData);
     
     res.status(201).json({
       success: true,
@@ -133,13 +414,32 @@ router.post('/', async (req, res) => {
       data: {
         scheduleId: schedule._id,
         deviceId: schedule.deviceId,
+        recurrenceType: schedule.recurrenceType,
         day: schedule.day,
+        days: schedule.days,
+        interval: schedule.interval,
+        monthlyRule: schedule.monthlyRule,
+        anchorDate: schedule.anchorDate,
+        recurrenceDescription: recurrence.describeRecurrence(schedule),
+        validFrom: schedule.validFrom,
+        validUntil: schedule.validUntil,
+        skipDates: schedule.skipDates,
         startTime: schedule.startTime,
         endTime: schedule.endTime,
+        startAt: schedule.startAt,
+        endAt: schedule.endAt,
+        startAnchor: schedule.startAnchor,
+        endAnchor: schedule.endAnchor,
+        location: schedule.location,
+        timezone: schedule.timezone,
         fanSpeed: schedule.fanSpeed,
+        steps: schedule.steps,
+        priority: schedule.priority,
         isActive: schedule.isActive,
         createdAt: schedule.createdAt
-      }
+      },
+      policy,
+      conflicts
     });
     
   } catch (error) {
@@ -155,14 +455,25 @@ router.post('/', async (req, res) => {
 /**
  * GET /api/schedule/:deviceId
  * Get all schedules for a device
+ * 
+ * Query Parameters:
+ * - active: true (default) | false (paused/disabled only) | all
  */
 router.get('/:deviceId', async (req, res) => {
   try {
     const { deviceId } = req.params;
+    const { active = 'true' } = req.query;
     
-    logger.info(`Fetching schedules for device: ${deviceId}`);
+    if (!['true', 'false', 'all'].includes(active)) {
+      return res.status(400).json({
+        success: false,
+        error: 'active must be true, false or all'
+      });
+    }
     
-    const schedules = await schedulerService.getSchedules(deviceId);
+    logger.info(`Fetching schedules for device: ${deviceId} (active: ${active})`);
+    
+    const schedules = await schedulerService.getSchedules(deviceId, active === 'all' ? undefined : active === 'true');
     
     res.json({
       success: true,
@@ -180,6 +491,328 @@ router.get('/:deviceId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/schedule/device/:deviceId/timeline
+ * Fan speed intervals the device's schedules produce, after overlap resolution
+ * 
+ * Query Parameters:
+ * - from: Start of the range (YYYY-MM-DD or datetime in the device timezone, default: now)
+ * - to: End of the range (default: from + 7 days, at most 31 days after from)
+ */
+router.get('/device/:deviceId/timeline', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const timeZone = await schedulerService.loadTimeZone(deviceId);
+    const from = parseInstant(req.query.from, clock.date(), timeZone);
+    const to = from && parseInstant(req.query.to, new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000), timeZone);
+    
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to. Use YYYY-MM-DD, YYYY-MM-DDTHH:MM or ISO 8601 with offset'
+      });
+    }
+    
+    if (to <= from || to - from > MAX_TIMELINE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        error: `to must be after from and at most ${MAX_TIMELINE_DAYS} days later`
+      });
+    }
+    
+    const intervals = await schedulerService.getTimeline(deviceId, from, to);
+    
+    res.json({
+      success: true,
+      deviceId,
+      timezone: timeZone,
+      from,
+      to,
+      count: intervals.length,
+      data: intervals
+    });
+    
+  } catch (error) {
+    logger.error('Error computing schedule timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute timeline',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedule/:deviceId/export.ics
+ * Device's schedules as an iCalendar file (one VEVENT with RRULE/EXDATE per schedule)
+ * 
+ * Query Parameters:
+ * - active: true (default) | false | all
+ * 
+ * Holidays of subscribed calendars are not included, only the schedules' own skip dates.
+ */
+router.get('/:deviceId/export.ics', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { active = 'true' } = req.query;
+    
+    if (!['true', 'false', 'all'].includes(active)) {
+      return res.status(400).json({
+        success: false,
+        error: 'active must be true, false or all'
+      });
+    }
+    
+    const schedules = await schedulerService.withLocation(await schedulerService.getSchedules(deviceId, active === 'all' ? undefined : active === 'true'));
+    const calendar = ical.renderCalendar(schedules, {
+      name: `${deviceId} schedules`,
+      timeZone: await schedulerService.loadTimeZone(deviceId)
+    });
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${deviceId}-schedules.ics"`);
+    res.send(calendar);
+    
+  } catch (error) {
+    logger.error('Error exporting schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedule/:deviceId/import
+ * Create schedules from an iCalendar file
+ * 
+ * Body: the .ics file (Content-Type: text/calendar) or JSON { "ics": "BEGIN:VCALENDAR..." }
+ * 
+ * Query Parameters:
+ * - fanSpeed: Speed for events without one (default: "speed N" in the event summary)
+ * - dryRun: true to only preview the schedules
+ * 
+ * Events are matched by UID: importing the same calendar again updates the
+ * schedules it created. Events that cannot be expressed as a schedule (all-day
+ * events, unsupported RRULEs, ...) and overlaps refused by the reject_overlaps
+ * policy are listed in "skipped".
+ */
+router.post('/:deviceId/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const text = typeof req.body === 'string' ? req.body : (req.body || {}).ics;
+    const dryRun = req.query.dryRun === 'true';
+    const fanSpeed = req.query.fanSpeed !== undefined ? Number(req.query.fanSpeed) : undefined;
+    
+    if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send an iCalendar file (text/calendar) or JSON { "ics": "..." }'
+      });
+    }
+    
+    if (fanSpeed !== undefined && (!Number.isInteger(fanSpeed) || fanSpeed < 1 || fanSpeed > 5)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Fan speed must be between 1 and 5'
+      });
+    }
+    
+    const timeZone = await schedulerService.loadTimeZone(deviceId);
+    const deviceLocation = await schedulerService.loadLocation(deviceId);
+    const policy = await schedulerService.loadPolicy(deviceId);
+    const events = ical.parseCalendar(text);
+    const created = [];
+    const updated = [];
+    const skipped = [];
+    
+    for (const event of events) {
+      const result = ical.eventToSchedule(event, { deviceId, timeZone, deviceLocation, fanSpeed });
+      const skip = (error, details) => skipped.push({ uid: result.uid, summary: result.summary, error, ...details });
+      if (result.error) {
+        skip(result.error);
+        continue;
+      }
+      
+      const data = result.data;
+      const dataError = validateDateRange(data)
+        || validateAnchors(data)
+        || (data.monthlyRule && recurrence.validateMonthlyRule(data.monthlyRule))
+        || (data.steps.length > 0 && recurrence.validateSteps(data.steps, recurrence.windowMinutes(data)));
+      if (dataError) {
+        skip(dataError);
+        continue;
+      }
+      
+      // Same UID as an earlier import (or one of our own exports) - update that schedule
+      const scheduleId = ical.scheduleIdOf(result.uid);
+      const existing = result.uid && (await Schedule.findOne({ deviceId, icalUid: result.uid })
+        || (scheduleId && await Schedule.findOne({ _id: scheduleId, deviceId })));
+      
+      const candidate = new Schedule({ ...data, _id: existing ? existing._id : undefined });
+      const validationError = candidate.validateSync();
+      if (validationError) {
+        skip(validationError.message);
+        continue;
+      }
+      
+      const conflicts = await schedulerService.findConflicts(candidate);
+      if (conflicts.length > 0 && policy === 'reject_overlaps') {
+        skip('Schedule overlaps existing schedules', { conflicts });
+        continue;
+      }
+      
+      const summary = {
+        uid: result.uid,
+        recurrenceDescription: recurrence.describeRecurrence(candidate),
+        conflicts
+      };
+      
+      if (dryRun) {
+        (existing ? updated : created).push({ ...summary, scheduleId: existing ? existing._id : undefined, data });
+      } else if (existing) {
+        const schedule = await schedulerService.updateSchedule(existing._id, data);
+        updated.push({ ...summary, scheduleId: schedule._id });
+      } else {
+        const schedule = await schedulerService.addSchedule(data);
+        created.push({ ...summary, scheduleId: schedule._id });
+      }
+    }
+    
+    logger.info(`Imported calendar for ${deviceId}: ${created.length} created, ${updated.length} updated, ${skipped.length} skipped${dryRun ? ' (dry run)' : ''}`);
+    
+    res.status(created.length > 0 && !dryRun ? 201 : 200).json({
+      success: created.length + updated.length > 0 || events.length === 0,
+      message: `${events.length} events: ${created.length} created, ${updated.length} updated, ${skipped.length} skipped`,
+      dryRun,
+      policy,
+      created,
+      updated,
+      skipped
+    });
+    
+  } catch (error) {
+    logger.error('Error importing schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import schedules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedule/:scheduleId/occurrences
+ * Preview when a schedule will run
+ * 
+ * Query Parameters:
+ * - count: Number of occurrences (default: 10, max: 100)
+ * - from: Only occurrences still running or starting after this (default: now,
+ *         local dates and times are read in the schedule timezone)
+ * 
+ * Occurrences cancelled by a skip date or holiday are listed with skipped: true.
+ */
+router.get('/:scheduleId/occurrences', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const count = Math.min(parseInt(req.query.count) || 10, 100);
+    
+    const schedule = mongoose.isValidObjectId(scheduleId) ? await Schedule.findById(scheduleId) : null;
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    const from = parseInstant(req.query.from, clock.date(), recurrence.timeZoneOf(schedule));
+    
+    if (!from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from. Use YYYY-MM-DD, YYYY-MM-DDTHH:MM or ISO 8601 with offset'
+      });
+    }
+    
+    const occurrences = await schedulerService.getOccurrences(schedule, count, from);
+    
+    res.json({
+      success: true,
+      scheduleId: schedule._id,
+      recurrenceDescription: recurrence.describeRecurrence(schedule),
+      isActive: schedule.isActive,
+      count: occurrences.length,
+      data: occurrences
+    });
+    
+  } catch (error) {
+    logger.error('Error computing schedule occurrences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute occurrences',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedule/:scheduleId/executions
+ * Execution history of a schedule (newest first), with the command each run sent
+ * 
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Executions per page (default: 20, max: 100)
+ * - status: success | queued | superseded | blocked | skipped | failed
+ * - phase: start | end
+ */
+router.get('/:scheduleId/executions', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    const { status, phase } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const valid = mongoose.isValidObjectId(scheduleId);
+    const schedule = valid ? await Schedule.findById(scheduleId) : null;
+    
+    // Executions of a deleted schedule are kept and can still be listed
+    if (!schedule && !(valid && await ScheduleExecution.exists({ scheduleId }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    const query = { scheduleId: new mongoose.Types.ObjectId(scheduleId) };
+    if (status) query.status = status;
+    if (phase) query.phase = phase;
+    
+    const { executions, total } = await ScheduleExecution.findPage(query, { page, limit });
+    
+    res.json({
+      success: true,
+      scheduleId: query.scheduleId,
+      deleted: !schedule,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      count: executions.length,
+      data: executions
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching schedule executions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule executions',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/schedule/detail/:scheduleId
  * Get a specific schedule by ID
@@ -201,7 +834,10 @@ router.get('/detail/:scheduleId', async (req, res) => {
     
     res.json({
       success: true,
-      data: schedule
+      data: {
+        ...schedule.toObject(),
+        recurrenceDescription: recurrence.describeRecurrence(schedule)
+      }
     });
     
   } catch (error) {
@@ -216,13 +852,147 @@ router.get('/detail/:scheduleId', async (req, res) => {
 
 /**
  * PUT /api/schedule/:scheduleId
- * Update a schedule
+ * Update a schedule in place (its execution history is kept)
+ * 
+ * isActive and pausedUntil change through /pause and /resume (which turn the
+ * device off and hand it over); deviceId cannot change - create a schedule
+ * for the other device instead.
  */
 router.put('/:scheduleId', async (req, res) => {
   try {
     const { scheduleId } = req.params;
     const updateData = req.body;
     
+    if (updateData.monthlyRule !== undefined) {
+      const ruleError = recurrence.validateMonthlyRule(updateData.monthlyRule);
+      if (ruleError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid monthlyRule',
+          message: ruleError,
+          validKinds: recurrence.MONTHLY_RULE_KINDS
+        });
+      }
+    }
+    
+    const rangeError = validateDateRange(updateData);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError
+      });
+    }
+    
+    if (updateData.timezone !== undefined && !recurrence.isValidTimeZone(updateData.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timezone. Use an IANA timezone (e.g., Europe/Berlin)'
+      });
+    }
+    
+    const anchorError = validateAnchors(updateData);
+    if (anchorError) {
+      return res.status(400).json({
+        success: false,
+        error: anchorError,
+        validEvents: solar.SOLAR_EVENTS
+      });
+    }
+    
+    // null returns a schedule with its own location to the device location
+    const locationError = updateData.location !== undefined && updateData.location !== null && validateLocation(updateData.location);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        error: locationError
+      });
+    }
+    
+    const existing = mongoose.isValidObjectId(scheduleId) ? await Schedule.findById(scheduleId) : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    // Unchanged values are fine (clients may send the whole document back)
+    const timeOf = value => (value ? new Date(value).getTime() : null);
+    const stateFields = [
+      updateData.isActive !== undefined && updateData.isActive !== existing.isActive && 'isActive',
+      updateData.pausedUntil !== undefined && timeOf(updateData.pausedUntil) !== timeOf(existing.pausedUntil) && 'pausedUntil'
+    ].filter(Boolean);
+    if (stateFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${stateFields.join(' and ')} cannot be changed with PUT`,
+        message: 'Use POST /api/schedule/:scheduleId/pause and /resume'
+      });
+    }
+    
+    if (updateData.deviceId !== undefined && updateData.deviceId !== existing.deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'deviceId cannot be changed',
+        message: 'Delete the schedule and create it for the other device'
+      });
+    }
+    
+    // Local startAt/endAt are read in the (possibly new) schedule timezone
+    const timeZone = updateData.timezone || recurrence.timeZoneOf(existing);
+    for (const field of ['startAt', 'endAt']) {
+      if (updateData[field] !== undefined) {
+        const instant = recurrence.parseDateTime(updateData[field], timeZone);
+        if (!instant) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${field}. Use YYYY-MM-DDTHH:MM (${timeZone}) or ISO 8601 with offset`
+          });
+        }
+        updateData[field] = instant;
+      }
+    }
+    
+    // A ramp profile starts at its first step's speed
+    if (Array.isArray(updateData.steps) && updateData.steps.length > 0 && updateData.steps[0]) {
+      updateData.fanSpeed = updateData.steps[0].fanSpeed;
+    }
+    
+    // Check the updated schedule against the device's other schedules
+    const updated = new Schedule({ ...existing.toObject(), ...updateData, _id: existing._id });
+    
+    // A sun-relative schedule without its own location needs the device's
+    if (recurrence.hasSolarAnchor(updated) && !recurrence.isLocation(updated.location) && !await schedulerService.loadLocation(existing.deviceId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sun-relative schedules need a location. Set the device location (latitude/longitude) or pass location'
+      });
+    }
+    
+    // Steps must fit the (possibly changed) window
+    if (updated.steps.length > 0) {
+      const stepsError = recurrence.validateSteps(updated.steps, recurrence.windowMinutes(updated));
+      if (stepsError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid steps',
+          message: stepsError
+        });
+      }
+    }
+
+    const conflicts = updated.isActive ? await schedulerService.findConflicts(updated) : [];
+    const policy = await schedulerService.loadPolicy(existing.deviceId);
+    
+    if (conflicts.length > 0 && policy === 'reject_overlaps') {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule overlaps existing schedules',
+        policy,
+        conflicts
+      });
+    }
+    
     logger.info(`Updating schedule: ${scheduleId}`);
     
     const schedule = await schedulerService.updateSchedule(scheduleId, updateData);
@@ -230,11 +1000,22 @@ router.put('/:scheduleId', async (req, res) => {
     res.json({
       success: true,
       message: 'Schedule updated successfully',
-      data: schedule
+      data: schedule,
+      policy,
+      conflicts
     });
     
   } catch (error) {
     logger.error('Error updating schedule:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule update',
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to update schedule',
@@ -270,6 +1051,102 @@ router.delete('/:scheduleId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/schedule/:scheduleId/pause
+ * Pause a schedule without deleting it
+ * 
+ * Request Body (optional):
+ * {
+ *   "until": "2024-12-27"   // resume automatically (YYYY-MM-DD = local midnight in the
+ * }                          // schedule timezone, or datetime)
+ */
+router.post('/:scheduleId/pause', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    
+    const existing = mongoose.isValidObjectId(scheduleId) ? await Schedule.findById(scheduleId) : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    const until = parseInstant((req.body || {}).until, null, recurrence.timeZoneOf(existing));
+    
+    if (until === null && (req.body || {}).until !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid until. Use YYYY-MM-DD, YYYY-MM-DDTHH:MM or ISO 8601 with offset'
+      });
+    }
+    
+    if (until && until <= clock.date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'until must be in the future'
+      });
+    }
+    
+    const schedule = await schedulerService.pauseSchedule(scheduleId, until);
+    
+    res.json({
+      success: true,
+      message: until ? `Schedule paused until ${recurrence.formatDateTime(until, recurrence.timeZoneOf(schedule))}` : 'Schedule paused',
+      data: schedule
+    });
+    
+  } catch (error) {
+    logger.error('Error pausing schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause schedule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedule/:scheduleId/resume
+ * Resume a paused schedule (applied right away if it is inside its window)
+ */
+router.post('/:scheduleId/resume', async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+    
+    const existing = mongoose.isValidObjectId(scheduleId) ? await Schedule.findById(scheduleId) : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+    
+    if (existing.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule is not paused'
+      });
+    }
+    
+    const schedule = await schedulerService.resumeSchedule(scheduleId);
+    
+    res.json({
+      success: true,
+      message: 'Schedule resumed',
+      data: schedule
+    });
+    
+  } catch (error) {
+    logger.error('Error resuming schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume schedule',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/schedule/:scheduleId/test
  * Manually trigger a schedule immediately (for testing)
@@ -286,6 +1163,7 @@ router.post('/:scheduleId/test', async (req, res) => {
         error: 'Schedule not found'
       });
     }
+    await schedulerService.withLocation(schedule);
     
     if (!schedule.isActive) {
       return res.status(400).json({
@@ -296,9 +1174,12 @@ router.post('/:scheduleId/test', async (req, res) => {
     
     logger.info(`Manually triggering schedule ${scheduleId} for testing`);
     
-    // Send start command (set fan speed)
+    // Send start command with the speed the schedule asks for right now - the
+    // current ramp step inside a window, the first step's speed outside it
+    const fanSpeed = recurrence.speedAt(schedule, clock.date());
+
     try {
-      await mqttService.sendCommand(schedule.deviceId, 'setFanSpeed', schedule.fanSpeed, 'schedule');
+      await mqttService.sendCommand(schedule.deviceId, 'setFanSpeed', fanSpeed, 'schedule');
       
       res.json({
         success: true,
@@ -307,7 +1188,7 @@ router.post('/:scheduleId/test', async (req, res) => {
           scheduleId: schedule._id,
           deviceId: schedule.deviceId,
           action: 'start',
-          fanSpeed: schedule.fanSpeed,
+          fanSpeed,
           note: 'This is a manual test trigger. The actual schedule will still run at the scheduled time.'
         }
       });
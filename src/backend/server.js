@@ -7,6 +7,7 @@
  */
 
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -14,6 +15,9 @@ const logger = require('./utils/logger');
 const mqttService = require('./services/mqttService');
 const schedulerService = require('./services/schedulerService');
 const preCleanService = require('./services/preCleanService');
+const realtimeService = require('./services/realtimeService');
+const ingestionService = require('./services/ingestionService');
+const clusterService = require('./services/clusterService');
 const { deviceAliasMiddleware } = require('./middleware/deviceAlias');
 
 // Import routes
@@ -23,6 +27,10 @@ const deviceRoutes = require('./routes/deviceRoutes');
 const controlRoutes = require('./routes/controlRoutes');
 const deviceManagementRoutes = require('./routes/deviceManagementRoutes');
 const aliasRoutes = require('./routes/aliasRoutes');
+const quarantineRoutes = require('./routes/quarantineRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const holidayRoutes = require('./routes/holidayRoutes');
+const devRoutes = require('./routes/devRoutes');
 
 // ============================================
 // CONFIGURATION
@@ -36,6 +44,10 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/praan-
 // ============================================
 
 const app = express();
+const server = http.createServer(app);
+
+// Real-time push (socket.io) shares the HTTP server with Express
+realtimeService.attach(server);
 
 // Middleware
 app.use(cors()); // Allow cross-origin requests
@@ -61,6 +73,11 @@ app.get('/health', (req, res) => {
     services: {
       mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
       mqtt: mqttService.isConnected ? 'connected' : 'disconnected'
+    },
+    cluster: {
+      enabled: clusterService.enabled,
+      nodeId: clusterService.nodeId,
+      leader: clusterService.isLeader()
     }
   });
 });
@@ -76,7 +93,14 @@ app.get('/', (req, res) => {
         create: 'POST /api/schedule',
         list: 'GET /api/schedule/:deviceId',
         get: 'GET /api/schedule/detail/:scheduleId',
+        occurrences: 'GET /api/schedule/:scheduleId/occurrences',
+        executions: 'GET /api/schedule/:scheduleId/executions',
+        timeline: 'GET /api/schedule/device/:deviceId/timeline',
+        exportIcs: 'GET /api/schedule/:deviceId/export.ics',
+        importIcs: 'POST /api/schedule/:deviceId/import',
         update: 'PUT /api/schedule/:scheduleId',
+        pause: 'POST /api/schedule/:scheduleId/pause',
+        resume: 'POST /api/schedule/:scheduleId/resume',
         delete: 'DELETE /api/schedule/:scheduleId'
       },
       preclean: {
@@ -92,7 +116,9 @@ app.get('/', (req, res) => {
         data: 'GET /api/device/:deviceId/data',
         latest: 'GET /api/device/:deviceId/latest',
         state: 'GET /api/device/:deviceId/state',
+        shadow: 'GET /api/device/:deviceId/shadow',
         commands: 'GET /api/device/:deviceId/commands',
+        queue: 'GET /api/device/:deviceId/queue',
         statistics: 'GET /api/device/:deviceId/statistics',
         list: 'GET /api/device/list/all'
       },
@@ -107,7 +133,35 @@ app.get('/', (req, res) => {
       alias: {
         current: 'GET /api/alias/current',
         set: 'POST /api/alias/set/:deviceId'
-      }
+      },
+      quarantine: {
+        list: 'GET /api/quarantine',
+        get: 'GET /api/quarantine/:id',
+        replay: 'POST /api/quarantine/:id/replay',
+        discard: 'DELETE /api/quarantine/:id'
+      },
+      metrics: {
+        all: 'GET /api/metrics',
+        ingestion: 'GET /api/metrics/ingestion'
+      },
+      holidays: {
+        create: 'POST /api/holidays',
+        list: 'GET /api/holidays',
+        get: 'GET /api/holidays/:calendarId',
+        update: 'PUT /api/holidays/:calendarId',
+        delete: 'DELETE /api/holidays/:calendarId',
+        subscribe: 'POST /api/holidays/:calendarId/subscribe',
+        unsubscribe: 'POST /api/holidays/:calendarId/unsubscribe'
+      },
+      // Development only (NODE_ENV=development)
+      dev: process.env.NODE_ENV === 'development' ? {
+        clock: 'GET /api/dev/clock',
+        freeze: 'POST /api/dev/clock/freeze',
+        resume: 'POST /api/dev/clock/resume',
+        advance: 'POST /api/dev/clock/advance',
+        set: 'POST /api/dev/clock/set',
+        reset: 'POST /api/dev/clock/reset'
+      } : undefined
     },
     documentation: 'See README.md for detailed API documentation'
   });
@@ -120,6 +174,14 @@ app.use('/api/device', deviceRoutes);
 app.use('/api/control', controlRoutes);
 app.use('/api/devices', deviceManagementRoutes);
 app.use('/api/alias', aliasRoutes);
+app.use('/api/quarantine', quarantineRoutes);
+app.use('/api/metrics', metricsRoutes);
+app.use('/api/holidays', holidayRoutes);
+
+// Virtual clock for testing schedules (never mounted in production)
+if (process.env.NODE_ENV === 'development') {
+  app.use('/api/dev', devRoutes);
+}
 
 // 404 handler
 app.use((req, res) => {
@@ -175,6 +237,39 @@ async function connectDatabase() {
   }
 }
 
+// ============================================
+// LEADER-ONLY SERVICES
+// ============================================
+
+// In cluster mode only the elected leader runs timers and cron jobs
+// (without cluster mode this node is always the leader)
+async function startLeaderServices() {
+  // Keep device shadows in sync
+  mqttService.startReconciliation();
+  
+  // Mark silent devices offline
+  mqttService.startPresenceWatchdog();
+  
+  // Initialize scheduler service
+  await schedulerService.initialize();
+  
+  // Initialize PreClean service
+  await preCleanService.initialize();
+  
+  // Apply schedules whose window is already open (after pre-cleans are known;
+  // not awaited - commands wait for device acks)
+  schedulerService.catchUp('startup').catch((error) => {
+    logger.error('Error in schedule catch-up:', error);
+  });
+}
+
+async function stopLeaderServices() {
+  mqttService.stopReconciliation();
+  mqttService.stopPresenceWatchdog();
+  schedulerService.stopAll();
+  preCleanService.shutdown();
+}
+
 // ============================================
 // SERVER STARTUP
 // ============================================
@@ -188,21 +283,28 @@ async function startServer() {
     // Step 1: Connect to MongoDB
     await connectDatabase();
     
-    // Step 2: Connect to MQTT broker
+    // Step 2: Start batched sensor data ingestion, then connect to MQTT broker
+    ingestionService.start();
     await mqttService.connect();
     
-    // Step 3: Initialize scheduler service
-    await schedulerService.initialize();
+    // Step 2b: Resume commands left in-flight (or queued) by a previous run
+    await mqttService.loadQueuedDevices();
+    await mqttService.recoverPendingCommands();
     
-    // Step 4: Initialize PreClean service
-    await preCleanService.initialize();
+    // Step 3: Leader election - starts reconciliation, presence watchdog,
+    // scheduler and PreClean service on the leader
+    await clusterService.start({
+      onElected: startLeaderServices,
+      onDemoted: stopLeaderServices
+    });
     
-    // Step 5: Start Express server
-    app.listen(PORT, () => {
+    // Step 4: Start Express server
+    server.listen(PORT, () => {
       logger.info('===========================================');
       logger.info(`Backend server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`API URL: http://localhost:${PORT}`);
+      logger.info(`Realtime: ws://localhost:${PORT}/socket.io`);
       logger.info('===========================================');
       logger.info('Server is ready to accept requests');
       logger.info('===========================================\n');
@@ -222,15 +324,19 @@ async function gracefulShutdown(signal) {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
-    // Stop scheduler
-    schedulerService.stopAll();
+    // Stop scheduler and PreClean service, then let another node take over
+    await stopLeaderServices();
+    await clusterService.stop();
     
-    // Stop PreClean service
-    preCleanService.shutdown();
+    // Close realtime connections
+    realtimeService.close();
     
     // Disconnect MQTT
     mqttService.disconnect();
     
+    // Write buffered sensor data
+    await ingestionService.stop();
+    
     // Close MongoDB connection
     await mongoose.connection.close();
     logger.info('MongoDB connection closed');
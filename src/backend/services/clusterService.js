@@ -0,0 +1,232 @@
+/**
+ * Cluster Service
+ *
+ * Lets several backend instances run side by side (CLUSTER_MODE=true):
+ *
+ * - Leader election: nodes compete for a MongoDB lease (LeaderLock). Only
+ *   the leader runs the scheduler, pre-clean timers, shadow reconciliation
+ *   and the presence watchdog.
+ * - Event bus: nodes notify each other over an internal MQTT topic
+ *   (cluster/<group>/events), e.g. to hand an ack to the node waiting for it
+ *   or to ask the leader to arm a schedule created on a follower.
+ *
+ * With cluster mode off this node is always the leader and events go nowhere.
+ */
+
+const os = require('os');
+const logger = require('../utils/logger');
+const LeaderLock = require('../models/LeaderLock');
+
+const LOCK_NAME = 'scheduler';
+
+class ClusterService {
+  constructor() {
+    this.enabled = process.env.CLUSTER_MODE === 'true';
+
+    // Shared subscription group and event topic namespace
+    this.group = process.env.CLUSTER_GROUP || 'praan-backend';
+
+    // Must be stable across restarts (used to recover this node's in-flight commands)
+    this.nodeId = process.env.CLUSTER_NODE_ID || `${os.hostname()}-${process.env.PORT || 3000}`;
+
+    // Leader lease
+    this.leaseTtl = parseInt(process.env.LEADER_LEASE_TTL) || 30000; // 30 seconds
+    this.renewInterval = parseInt(process.env.LEADER_RENEW_INTERVAL) || 10000; // 10 seconds
+
+    this.leader = false;
+    this.lastRenewedAt = null;
+    this.campaignTimer = null;
+    this.campaigning = false;
+
+    // Called when this node gains/loses leadership
+    this.onElected = async () => {};
+    this.onDemoted = async () => {};
+
+    // Cluster event handlers
+    // Map structure: event type -> [handler]
+    this.handlers = new Map();
+  }
+
+  /**
+   * Whether this node should run leader-only work
+   */
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * MQTT topic prefix for device subscriptions ($share group in cluster mode)
+   */
+  subscriptionPrefix() {
+    return this.enabled ? `$share/${this.group}/` : '';
+  }
+
+  /**
+   * Internal MQTT topic for cluster events
+   */
+  eventTopic() {
+    return `cluster/${this.group}/events`;
+  }
+
+  /**
+   * Start leader election
+   *
+   * @param {Object} callbacks - { onElected, onDemoted } (async)
+   */
+  async start({ onElected, onDemoted }) {
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+
+    if (!this.enabled) {
+      // Single instance - always the leader
+      this.leader = true;
+      await this.onElected();
+      return;
+    }
+
+    logger.info(`Cluster mode: node ${this.nodeId} in group ${this.group}`);
+
+    await this.campaign();
+
+    this.campaignTimer = setInterval(() => {
+      this.campaign().catch((error) => {
+        logger.error('Error in leader election:', error);
+      });
+    }, this.renewInterval);
+  }
+
+  /**
+   * Try to acquire or renew the leader lease (internal method)
+   */
+  async campaign() {
+    if (this.campaigning) {
+      return;
+    }
+
+    this.campaigning = true;
+
+    try {
+      let acquired;
+
+      try {
+        acquired = await LeaderLock.acquire(LOCK_NAME, this.nodeId, this.leaseTtl);
+        if (acquired) {
+          this.lastRenewedAt = Date.now();
+        }
+      } catch (error) {
+        logger.error('Failed to renew leader lease:', error);
+
+        // Can't reach MongoDB - keep leading only while our last lease is still valid
+        acquired = this.leader && Date.now() - this.lastRenewedAt < this.leaseTtl;
+      }
+
+      if (acquired && !this.leader) {
+        this.leader = true;
+        logger.info(`Node ${this.nodeId} elected leader`);
+
+        try {
+          await this.onElected();
+        } catch (error) {
+          logger.error('Error starting leader services:', error);
+        }
+      } else if (!acquired && this.leader) {
+        this.leader = false;
+        logger.warn(`Node ${this.nodeId} lost leadership`);
+
+        try {
+          await this.onDemoted();
+        } catch (error) {
+          logger.error('Error stopping leader services:', error);
+        }
+      }
+    } finally {
+      this.campaigning = false;
+    }
+  }
+
+  /**
+   * Stop campaigning and hand the lease over (for graceful shutdown)
+   */
+  async stop() {
+    if (this.campaignTimer) {
+      clearInterval(this.campaignTimer);
+      this.campaignTimer = null;
+    }
+
+    if (this.enabled && this.leader) {
+      try {
+        await LeaderLock.release(LOCK_NAME, this.nodeId);
+        logger.info('Leader lease released');
+      } catch (error) {
+        logger.error('Failed to release leader lease:', error);
+      }
+    }
+
+    this.leader = false;
+  }
+
+  /**
+   * Register a handler for a cluster event type
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+  }
+
+  /**
+   * Send an event to the other nodes (no-op outside cluster mode)
+   *
+   * @param {string} type - Event type (e.g. "command:ack")
+   * @param {Object} payload - Event data
+   */
+  publish(type, payload = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const mqttService = require('./mqttService');
+    if (!mqttService.client || !mqttService.isConnected) {
+      logger.warn(`Cannot publish cluster event ${type} - MQTT not connected`);
+      return;
+    }
+
+    const event = { ...payload, type, nodeId: this.nodeId };
+
+    mqttService.client.publish(this.eventTopic(), JSON.stringify(event), { qos: 1 }, (err) => {
+      if (err) {
+        logger.error(`Failed to publish cluster event ${type}:`, err);
+      }
+    });
+  }
+
+  /**
+   * Handle an event received on the cluster topic
+   */
+  async handleEvent(message) {
+    let event;
+    try {
+      event = JSON.parse(message.toString());
+    } catch (error) {
+      logger.warn('Ignoring malformed cluster event');
+      return;
+    }
+
+    // Our own events come back to us as well
+    if (event.nodeId === this.nodeId) {
+      return;
+    }
+
+    for (const handler of this.handlers.get(event.type) || []) {
+      try {
+        await handler(event);
+      } catch (error) {
+        logger.error(`Error handling cluster event ${event.type}:`, error);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ClusterService();
@@ -0,0 +1,492 @@
+/**
+ * Ingestion Service
+ *
+ * Buffers sensor readings and writes them to MongoDB in batches, instead of
+ * one save() and one findOneAndUpdate() per reading.
+ *
+ * - Readings are flushed with insertMany when the buffer reaches batchSize
+ *   or every flushInterval ms, whichever comes first
+ * - DeviceState updates are coalesced per device (latest reading wins) and
+ *   written with a single bulkWrite per flush
+ * - Known device IDs are cached so auto-registration only hits MongoDB for
+ *   devices we have not seen yet
+ * - When MongoDB falls behind and the buffer reaches maxBuffer,
+ *   waitForCapacity() holds the MQTT client back until a flush frees room
+ * - Readings and device states that fail to write (e.g. a brief MongoDB
+ *   outage) go back on the buffer and are retried up to maxRetries times
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const SensorData = require('../models/SensorData');
+const DeviceState = require('../models/DeviceState');
+const Device = require('../models/Device');
+
+/**
+ * Per-second event counter over a sliding window (for throughput metrics)
+ */
+class RateCounter {
+  constructor(windowSeconds = 60) {
+    this.windowSeconds = windowSeconds;
+    this.buckets = new Map(); // epoch second -> count
+  }
+
+  add(count) {
+    const second = Math.floor(Date.now() / 1000);
+    this.buckets.set(second, (this.buckets.get(second) || 0) + count);
+    this.prune(second);
+  }
+
+  prune(currentSecond) {
+    for (const second of this.buckets.keys()) {
+      if (second <= currentSecond - this.windowSeconds) {
+        this.buckets.delete(second);
+      }
+    }
+  }
+
+  perSecond() {
+    this.prune(Math.floor(Date.now() / 1000));
+
+    let total = 0;
+    for (const count of this.buckets.values()) {
+      total += count;
+    }
+    return total / this.windowSeconds;
+  }
+}
+
+class IngestionService {
+  constructor() {
+    // Thresholds
+    this.batchSize = parseInt(process.env.INGEST_BATCH_SIZE) || 500;
+    this.flushInterval = parseInt(process.env.INGEST_FLUSH_INTERVAL) || 1000; // 1 second
+    this.maxBuffer = parseInt(process.env.INGEST_MAX_BUFFER) || 5000;
+    this.maxRetries = parseInt(process.env.INGEST_MAX_RETRIES) || 5; // flush attempts before a reading is dropped
+
+    // Buffered readings: [{ doc, receivedAt, attempts }]
+    this.buffer = [];
+
+    // Latest DeviceState update per device: deviceId -> { receivedAt, sensor, power, attempts }
+    this.stateUpdates = new Map();
+
+    // Device IDs known to exist in the Device collection
+    this.knownDevices = new Set();
+
+    // In-progress flush (only one at a time)
+    this.flushing = null;
+    this.timer = null;
+
+    // Callers waiting for buffer room (backpressure)
+    this.waiters = [];
+
+    this.receivedRate = new RateCounter();
+    this.writtenRate = new RateCounter();
+
+    this.metrics = {
+      received: 0,
+      written: 0,
+      failed: 0,        // readings dropped: invalid, after maxRetries or for lack of buffer room
+      requeued: 0,      // readings put back on the buffer after a failed write
+      flushes: 0,
+      failedFlushes: 0,
+      backpressureEvents: 0,
+      lastFlushAt: null,
+      lastFlushDurationMs: null,
+      lastBatchSize: 0,
+      lastBatchLagMs: null,   // average time from receipt to write in the last batch
+      lastDeviceLagMs: null   // average time from device timestamp to receipt in the last batch
+    };
+  }
+
+  /**
+   * Start the periodic flush timer
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch((error) => {
+        logger.error('Error flushing ingestion buffer:', error);
+      });
+    }, this.flushInterval);
+
+    logger.info(`Ingestion pipeline started (batch ${this.batchSize}, every ${this.flushInterval}ms, max buffer ${this.maxBuffer})`);
+  }
+
+  /**
+   * Stop the timer and write whatever is still buffered
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    // Drain everything, including readings that arrive during the final flush
+    while (this.buffer.length > 0 || this.stateUpdates.size > 0 || this.flushing) {
+      await this.flush();
+    }
+
+    logger.info('Ingestion pipeline stopped');
+  }
+
+  /**
+   * Buffer a sensor reading and the device state it implies
+   *
+   * @param {Object} reading - SensorData fields
+   * @param {Object} state - { sensor: {...}, power: {...} } DeviceState fields
+   *   "sensor" fields are always applied; "power" fields only if no newer
+   *   report (e.g. an ack) reached the device state in the meantime
+   * @param {Date} receivedAt - When the reading arrived
+   */
+  enqueue(reading, state, receivedAt = new Date()) {
+    this.buffer.push({ doc: reading, receivedAt, attempts: 0 });
+    this.stateUpdates.set(reading.deviceId, { receivedAt, attempts: 0, ...state });
+
+    this.metrics.received++;
+    this.receivedRate.add(1);
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush().catch((error) => {
+        logger.error('Error flushing ingestion buffer:', error);
+      });
+    }
+  }
+
+  /**
+   * Check whether the buffer has room for more readings
+   */
+  hasCapacity() {
+    return this.buffer.length < this.maxBuffer;
+  }
+
+  /**
+   * Resolve once the buffer has room (immediately if it already does)
+   */
+  waitForCapacity() {
+    if (this.hasCapacity()) {
+      return Promise.resolve();
+    }
+
+    if (this.waiters.length === 0) {
+      this.metrics.backpressureEvents++;
+      logger.warn(`Ingestion buffer full (${this.buffer.length}) - applying backpressure`);
+    }
+
+    // Make sure something is draining the buffer
+    this.flush().catch((error) => {
+      logger.error('Error flushing ingestion buffer:', error);
+    });
+
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  /**
+   * Release waiters if the buffer has room again (internal method)
+   */
+  releaseWaiters() {
+    while (this.waiters.length > 0 && this.hasCapacity()) {
+      this.waiters.shift()();
+    }
+  }
+
+  /**
+   * Write buffered readings and device states to MongoDB
+   */
+  flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    if (this.buffer.length === 0 && this.stateUpdates.size === 0) {
+      return Promise.resolve();
+    }
+
+    const batch = this.buffer.splice(0, this.batchSize);
+    const states = this.stateUpdates;
+    this.stateUpdates = new Map();
+
+    let complete = false;
+    this.flushing = this.writeBatch(batch, states).then((result) => {
+      complete = result;
+    }).finally(() => {
+      this.flushing = null;
+      this.releaseWaiters();
+
+      // More than one batch waiting - keep going (after a failure, wait for the timer)
+      if (complete && this.buffer.length >= this.batchSize) {
+        setImmediate(() => {
+          this.flush().catch((error) => {
+            logger.error('Error flushing ingestion buffer:', error);
+          });
+        });
+      }
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Write one batch (internal method)
+   *
+   * Readings get their _id before the first attempt, so a retry of a write
+   * that actually reached MongoDB is recognised as a duplicate, not stored twice.
+   *
+   * @returns {Promise<boolean>} True if everything was written
+   */
+  async writeBatch(batch, states) {
+    const startedAt = Date.now();
+    let failedEntries = [];
+    let invalidEntries = [];
+    let failedStates = new Map();
+
+    // Registration is retried next flush - it must not hold back the readings
+    try {
+      await this.ensureDevices([...states.keys()]);
+    } catch (error) {
+      logger.error('Ingestion device auto-registration failed:', error);
+    }
+
+    if (batch.length > 0) {
+      batch.forEach((entry) => {
+        entry.doc._id = entry.doc._id || new mongoose.Types.ObjectId();
+      });
+
+      try {
+        await SensorData.insertMany(batch.map(entry => entry.doc), { ordered: false, throwOnValidationError: true });
+      } catch (error) {
+        ({ failed: failedEntries, invalid: invalidEntries } = this.failedInserts(batch, error));
+        logger.error(`Ingestion insertMany failed for ${failedEntries.length + invalidEntries.length} of ${batch.length} reading(s):`, error);
+      }
+
+      // Invalid readings would fail again on every retry
+      if (invalidEntries.length > 0) {
+        this.metrics.failed += invalidEntries.length;
+        logger.error(`Ingestion dropped ${invalidEntries.length} reading(s) that failed validation`);
+      }
+    }
+
+    if (states.size > 0) {
+      try {
+        await DeviceState.bulkWrite(this.buildStateOps(states), { ordered: true });
+      } catch (error) {
+        failedStates = states;
+        logger.error(`Ingestion device state write failed for ${states.size} device(s):`, error);
+      }
+    }
+
+    const written = batch.length - failedEntries.length - invalidEntries.length;
+    const complete = failedEntries.length === 0 && failedStates.size === 0;
+
+    if (complete) {
+      this.metrics.flushes++;
+    } else {
+      this.metrics.failedFlushes++;
+      this.requeue(failedEntries, failedStates);
+    }
+
+    const finishedAt = Date.now();
+
+    this.metrics.written += written;
+    this.writtenRate.add(written);
+
+    this.metrics.lastFlushAt = new Date(finishedAt);
+    this.metrics.lastFlushDurationMs = finishedAt - startedAt;
+    this.metrics.lastBatchSize = batch.length;
+
+    if (batch.length > 0) {
+      const totalLag = batch.reduce((sum, entry) => sum + (finishedAt - entry.receivedAt.getTime()), 0);
+      const totalDeviceLag = batch.reduce((sum, entry) => sum + (entry.receivedAt.getTime() - entry.doc.timestamp.getTime()), 0);
+      this.metrics.lastBatchLagMs = Math.round(totalLag / batch.length);
+      this.metrics.lastDeviceLagMs = Math.round(totalDeviceLag / batch.length);
+    }
+
+    logger.debug(`Ingestion flush: ${written}/${batch.length} readings, ${states.size - failedStates.size}/${states.size} device state(s) in ${finishedAt - startedAt}ms`);
+    return complete;
+  }
+
+  /**
+   * Entries of a batch that insertMany did not write (internal method)
+   *
+   * ordered: false keeps inserting past bad documents: error.results holds
+   * the validation error of each invalid one, and writeErrors (indexed like
+   * the batch) the documents MongoDB refused. Duplicate keys mean an earlier
+   * attempt already wrote the reading. Without per-document errors the whole
+   * write failed.
+   *
+   * @returns {Object} { failed (to retry), invalid (to drop) }
+   */
+  failedInserts(batch, error) {
+    const results = error.results || [];
+    const invalid = batch.filter((entry, i) => results[i] instanceof mongoose.Error.ValidationError);
+
+    // Only validation failures - every valid reading was written
+    if (error.name === 'MongooseBulkWriteError') {
+      return { failed: [], invalid };
+    }
+
+    if (!error.writeErrors || error.writeErrors.length === 0) {
+      return { failed: batch.filter(entry => !invalid.includes(entry)), invalid };
+    }
+
+    const refused = new Set(error.writeErrors
+      .filter(writeError => (writeError.code ?? (writeError.err && writeError.err.code)) !== 11000)
+      .map(writeError => writeError.index));
+
+    return { failed: batch.filter((entry, i) => refused.has(i)), invalid };
+  }
+
+  /**
+   * Put failed readings and device states back for the next flush (internal method)
+   *
+   * Readings go back to the front of the buffer (oldest first) as long as
+   * the buffer stays within maxBuffer; anything past maxRetries attempts or
+   * beyond the cap is dropped and counted as failed.
+   */
+  requeue(entries, states) {
+    const retry = entries.filter(entry => ++entry.attempts < this.maxRetries);
+    const room = Math.max(0, this.maxBuffer - this.buffer.length);
+    const kept = retry.slice(0, room);
+    const dropped = entries.length - kept.length;
+
+    this.buffer.unshift(...kept);
+    this.metrics.requeued += kept.length;
+    this.metrics.failed += dropped;
+
+    if (dropped > 0) {
+      logger.error(`Ingestion dropped ${dropped} reading(s) after ${this.maxRetries} attempts or for lack of buffer room`);
+    }
+
+    // A newer update for the same device replaces the failed one
+    for (const [deviceId, update] of states) {
+      if (++update.attempts >= this.maxRetries) {
+        logger.error(`Ingestion dropped the device state update for ${deviceId} after ${this.maxRetries} attempts`);
+      } else if (!this.stateUpdates.has(deviceId)) {
+        this.stateUpdates.set(deviceId, update);
+      }
+    }
+  }
+
+  /**
+   * Build DeviceState bulkWrite operations (internal method)
+   *
+   * Power/fan fields are only applied when the device state has not been
+   * reported more recently (acks are written immediately, so a buffered
+   * reading must not roll them back).
+   */
+  buildStateOps(states) {
+    const ops = [];
+
+    for (const [deviceId, { receivedAt, sensor, power }] of states) {
+      ops.push({
+        updateOne: {
+          filter: { deviceId },
+          update: { $set: sensor, $max: { lastSeen: receivedAt } },
+          upsert: true
+        }
+      });
+
+      ops.push({
+        updateOne: {
+          filter: {
+            deviceId,
+            $or: [
+              { 'reported.updatedAt': { $lt: receivedAt } },
+              { 'reported.updatedAt': null }
+            ]
+          },
+          update: {
+            $set: {
+              ...power,
+              reported: {
+                powerOn: power.powerOn,
+                fanSpeed: power.currentFanSpeed,
+                updatedAt: receivedAt
+              }
+            }
+          }
+        }
+      });
+    }
+
+    return ops;
+  }
+
+  /**
+   * Auto-register devices not seen before (one bulkWrite for the whole batch)
+   */
+  async ensureDevices(deviceIds) {
+    const unknown = deviceIds.filter(deviceId => !this.knownDevices.has(deviceId));
+    if (unknown.length === 0) {
+      return;
+    }
+
+    const result = await Device.bulkWrite(unknown.map(deviceId => ({
+      updateOne: {
+        filter: { deviceId },
+        update: {
+          $setOnInsert: {
+            deviceId,
+            name: `Auto-registered ${deviceId}`,
+            type: 'AIR_PURIFIER',
+            location: {
+              room: 'Unknown',
+              building: 'Unknown'
+            },
+            specifications: {
+              model: 'Unknown',
+              manufacturer: 'Unknown',
+              maxFanSpeed: 5
+            },
+            status: 'active'
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    if (result.upsertedCount > 0) {
+      logger.info(`Auto-registered ${result.upsertedCount} device(s)`);
+    }
+
+    unknown.forEach(deviceId => this.knownDevices.add(deviceId));
+  }
+
+  /**
+   * Forget a cached device ID (e.g. after it was deleted)
+   */
+  forgetDevice(deviceId) {
+    this.knownDevices.delete(deviceId);
+  }
+
+  /**
+   * Ingestion metrics (throughput, lag, buffer and flush stats)
+   */
+  getMetrics() {
+    const oldest = this.buffer[0];
+
+    return {
+      ...this.metrics,
+      receivedPerSecond: Number(this.receivedRate.perSecond().toFixed(2)),
+      writtenPerSecond: Number(this.writtenRate.perSecond().toFixed(2)),
+      bufferSize: this.buffer.length,
+      retryingReadings: this.buffer.filter(entry => entry.attempts > 0).length,
+      pendingDeviceStates: this.stateUpdates.size,
+      currentLagMs: oldest ? Date.now() - oldest.receivedAt.getTime() : 0,
+      backpressureActive: this.waiters.length > 0,
+      knownDevices: this.knownDevices.size,
+      config: {
+        batchSize: this.batchSize,
+        flushInterval: this.flushInterval,
+        maxBuffer: this.maxBuffer,
+        maxRetries: this.maxRetries
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new IngestionService();
@@ -13,9 +13,21 @@ const logger = require('../utils/logger');
 function uuidv4() {
   return crypto.randomUUID();
 }
+
+// Publish interval (seconds) assumed for devices that never reported one
+const DEFAULT_PUBLISH_INTERVAL = 120;
+
+// Commands that fully define the device state (and so replace anything still waiting)
+const SUPERSEDING_ACTIONS = ['setFanSpeed', 'turnOff'];
 const SensorData = require('../models/SensorData');
 const DeviceState = require('../models/DeviceState');
 const CommandLog = require('../models/CommandLog');
+const QuarantinedMessage = require('../models/QuarantinedMessage');
+const { validatePayload } = require('../utils/payloadValidator');
+const realtimeService = require('./realtimeService');
+const ingestionService = require('./ingestionService');
+const clusterService = require('./clusterService');
+const clock = require('../utils/clock');
 
 class MQTTService {
   constructor() {
@@ -28,6 +40,75 @@ class MQTTService {
     // Retry configuration
     this.maxRetries = parseInt(process.env.MAX_RETRIES) || 3;
     this.retryTimeout = parseInt(process.env.RETRY_TIMEOUT) || 30000; // 30 seconds
+    
+    // Unfinished commands older than this are expired instead of re-sent after a restart
+    this.commandExpiry = parseInt(process.env.COMMAND_EXPIRY) || 600000; // 10 minutes
+    
+    // Offline queue: how long (ms) undeliverable commands wait for the device (0 disables queueing)
+    this.queueTtl = process.env.COMMAND_QUEUE_TTL !== undefined
+      ? parseInt(process.env.COMMAND_QUEUE_TTL) || 0
+      : 3600000; // 1 hour
+    
+    // Per-device command pipelines (one command in flight per device)
+    // Map structure: deviceId -> { busy, waiting: [{ command, retryCount, resolve, reject }] }
+    this.pipelines = new Map();
+    
+    // Devices whose offline queue is currently being flushed
+    this.flushing = new Set();
+    
+    // Devices with commands in the offline queue (avoids a queue lookup per sensor reading)
+    this.queuedDevices = new Set();
+    
+    // Devices currently known to be online (avoids a presence lookup per sensor reading)
+    this.onlineDevices = new Set();
+    
+    // Presence watchdog (devices silent for multiplier x publish interval are marked offline)
+    this.presenceMultiplier = parseFloat(process.env.PRESENCE_TIMEOUT_MULTIPLIER) || 3;
+    this.presenceCheckInterval = parseInt(process.env.PRESENCE_CHECK_INTERVAL) || 60000; // 1 minute
+    this.watchdog = null;
+    
+    // Shadow reconciliation (re-send commands until reported matches desired)
+    this.reconcileInterval = parseInt(process.env.RECONCILE_INTERVAL) || 60000; // 1 minute
+    this.reconciler = null;
+    
+    // Called after the connection to the broker is re-established
+    this.reconnectHandlers = [];
+    this.hasConnected = false;
+    
+    this.registerClusterHandlers();
+  }
+  
+  /**
+   * Register a handler to run after every reconnect (not the first connect)
+   */
+  onReconnect(handler) {
+    this.reconnectHandlers.push(handler);
+  }
+  
+  /**
+   * Keep per-node state in step with the other nodes (cluster mode)
+   */
+  registerClusterHandlers() {
+    // A device acked on another node - settle the command if we sent it
+    clusterService.on('command:ack', (ack) => {
+      const pending = this.takePendingCommand(ack.commandId);
+      if (pending) {
+        logger.info(`Ack for command ${ack.commandId} relayed by node ${ack.nodeId}`);
+        this.settleCommand(pending, ack);
+      }
+    });
+    
+    clusterService.on('device:queued', ({ deviceId }) => {
+      this.queuedDevices.add(deviceId);
+    });
+    
+    clusterService.on('device:presence', ({ deviceId, isOnline }) => {
+      if (isOnline) {
+        this.onlineDevices.add(deviceId);
+      } else {
+        this.onlineDevices.delete(deviceId);
+      }
+    });
   }
   
   /**
@@ -40,42 +121,91 @@ class MQTTService {
       logger.info(`Connecting to MQTT broker: ${brokerUrl}`);
       
       this.client = mqtt.connect(brokerUrl, {
-        clientId: `backend_${Date.now()}`,
+        clientId: clusterService.enabled ? `backend_${clusterService.nodeId}` : `backend_${Date.now()}`,
         clean: true,
         reconnectPeriod: 5000,
         username: process.env.MQTT_USERNAME,
         password: process.env.MQTT_PASSWORD
       });
       
+      // Backpressure: mqtt.js only acks a message (and reads the next one)
+      // after handleMessage calls back, so hold sensor data while the ingestion
+      // buffer is full (acks, status/LWT and cluster events pass right away)
+      this.client.handleMessage = (packet, callback) => {
+        if (!/^device\/[^/]+\/data$/.test(packet.topic)) {
+          return callback();
+        }
+        ingestionService.waitForCapacity().then(() => callback());
+      };
+      
       // Connection successful
       this.client.on('connect', () => {
+        const isReconnect = this.hasConnected;
         this.isConnected = true;
+        this.hasConnected = true;
         logger.info('Successfully connected to MQTT broker');
         
+        // In cluster mode device topics are shared subscriptions, so each
+        // message is delivered to only one node of the group
+        const prefix = clusterService.subscriptionPrefix();
+        
         // Subscribe to all device data topics
-        this.client.subscribe('device/+/data', { qos: 1 }, (err) => {
+        this.client.subscribe(`${prefix}device/+/data`, { qos: 1 }, (err) => {
           if (err) {
             logger.error('Failed to subscribe to device data topics:', err);
           } else {
-            logger.info('Subscribed to: device/+/data');
+            logger.info(`Subscribed to: ${prefix}device/+/data`);
+          }
+        });
+        
+        // Subscribe to all device status topics (birth, heartbeat, Last Will)
+        this.client.subscribe(`${prefix}device/+/status`, { qos: 1 }, (err) => {
+          if (err) {
+            logger.error('Failed to subscribe to device status topics:', err);
+          } else {
+            logger.info(`Subscribed to: ${prefix}device/+/status`);
           }
         });
         
         // Subscribe to all device acknowledgment topics
-        this.client.subscribe('device/+/ack', { qos: 1 }, (err) => {
+        this.client.subscribe(`${prefix}device/+/ack`, { qos: 1 }, (err) => {
           if (err) {
             logger.error('Failed to subscribe to device ack topics:', err);
           } else {
-            logger.info('Subscribed to: device/+/ack');
+            logger.info(`Subscribed to: ${prefix}device/+/ack`);
           }
         });
         
+        // Cluster events go to every node (not shared)
+        if (clusterService.enabled) {
+          this.client.subscribe(clusterService.eventTopic(), { qos: 1 }, (err) => {
+            if (err) {
+              logger.error('Failed to subscribe to cluster events:', err);
+            } else {
+              logger.info(`Subscribed to: ${clusterService.eventTopic()}`);
+            }
+          });
+        }
+        
+        if (isReconnect) {
+          for (const handler of this.reconnectHandlers) {
+            Promise.resolve().then(handler).catch((error) => {
+              logger.error('Error in MQTT reconnect handler:', error);
+            });
+          }
+        }
+        
         resolve();
       });
       
       // Handle incoming messages
       this.client.on('message', async (topic, message) => {
         try {
+          if (clusterService.enabled && topic === clusterService.eventTopic()) {
+            await clusterService.handleEvent(message);
+            return;
+          }
+          
           await this.handleMessage(topic, message);
         } catch (error) {
           logger.error('Error handling MQTT message:', error);
@@ -103,34 +233,150 @@ class MQTTService {
   
   /**
    * Handle incoming MQTT messages
+   * 
+   * Payloads are parsed and validated against the versioned schemas before
+   * they reach a handler. Anything rejected is quarantined with the reason.
    */
   async handleMessage(topic, message) {
+    const rawPayload = message.toString();
+    const [, topicDeviceId, messageType] = topic.split('/');
+    
+    let data;
     try {
-      const data = JSON.parse(message.toString());
-      
-      // Determine message type based on topic
-      if (topic.includes('/data')) {
-        await this.handleSensorData(data);
-      } else if (topic.includes('/ack')) {
-        await this.handleAcknowledgment(data);
-      }
+      data = JSON.parse(rawPayload);
+    } catch (error) {
+      await this.quarantineMessage(topic, rawPayload, { reason: 'invalid_json', errors: [error.message] });
+      return;
+    }
+    
+    const validation = validatePayload(messageType, data, topicDeviceId);
+    if (!validation.valid) {
+      await this.quarantineMessage(topic, rawPayload, validation, data);
+      return;
+    }
+    
+    await this.dispatchMessage(messageType, data);
+  }
+  
+  /**
+   * Route a validated payload to its handler
+   * 
+   * @param {Object} [options] - { rethrow: throw handler errors instead of only logging them }
+   */
+  async dispatchMessage(messageType, data, options) {
+    switch (messageType) {
+      case 'data':
+        await this.handleSensorData(data, options);
+        break;
+      case 'ack':
+        await this.handleAcknowledgment(data, options);
+        break;
+      case 'status':
+        await this.handleStatus(data, options);
+        break;
+    }
+  }
+  
+  /**
+   * Store a rejected message for inspection and replay
+   */
+  async quarantineMessage(topic, rawPayload, validation, payload) {
+    const [, deviceId, messageType] = topic.split('/');
+    
+    logger.warn(`Quarantining message from ${topic} (${validation.reason}): ${validation.errors.join('; ')}`);
+    
+    try {
+      await QuarantinedMessage.create({
+        topic,
+        deviceId,
+        messageType,
+        rawPayload,
+        payload,
+        reason: validation.reason,
+        validationErrors: validation.errors,
+        schemaVersion: validation.version
+      });
+    } catch (error) {
+      logger.error(`Failed to quarantine message from ${topic}:`, error);
+    }
+  }
+  
+  /**
+   * Replay a quarantined message through validation and its handler
+   * 
+   * The message is claimed (status 'replaying') before anything is
+   * dispatched, so concurrent replays cannot write a reading or apply an ack
+   * twice. A failed replay puts it back in quarantine.
+   * 
+   * @param {Object} quarantined - QuarantinedMessage document
+   * @param {Object} payload - Corrected payload (defaults to the stored one)
+   * @returns {Promise<Object>} { success, reason, errors, message }
+   */
+  async replayQuarantinedMessage(quarantined, payload = quarantined.payload) {
+    const [, topicDeviceId, messageType] = quarantined.topic.split('/');
+    
+    const claimed = await QuarantinedMessage.findOneAndUpdate(
+      { _id: quarantined._id, status: 'quarantined' },
+      { $set: { status: 'replaying' }, $inc: { replayAttempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { success: false, reason: 'already_replayed', errors: ['Message has already been (or is being) replayed'] };
+    }
+    
+    const validation = payload === undefined || payload === null
+      ? { valid: false, reason: 'invalid_json', errors: ['No parsed payload to replay - provide a corrected payload'] }
+      : validatePayload(messageType, payload, topicDeviceId);
+    
+    if (!validation.valid) {
+      const message = await QuarantinedMessage.findByIdAndUpdate(
+        claimed._id,
+        { $set: { status: 'quarantined', lastReplayError: validation.errors.join('; ') } },
+        { new: true }
+      );
+      return { success: false, reason: validation.reason, errors: validation.errors, message };
+    }
+    
+    try {
+      await this.dispatchMessage(messageType, payload, { rethrow: true });
     } catch (error) {
-      logger.error(`Error parsing message from ${topic}:`, error);
+      await QuarantinedMessage.findByIdAndUpdate(claimed._id, {
+        $set: { status: 'quarantined', lastReplayError: error.message }
+      });
+      throw error;
     }
+    
+    const message = await QuarantinedMessage.findByIdAndUpdate(
+      claimed._id,
+      { $set: { status: 'replayed', replayedAt: new Date() }, $unset: { lastReplayError: 1 } },
+      { new: true }
+    );
+    
+    logger.info(`Replayed quarantined message ${claimed._id} from ${claimed.topic}`);
+    
+    return { success: true, reason: null, errors: [], message };
   }
   
   /**
    * Handle sensor data from devices
+   * 
+   * Readings are handed to the ingestion pipeline, which writes SensorData
+   * and DeviceState in batches. Presence and the offline queue are tracked
+   * in memory here so a steady stream of readings costs no extra lookups.
    */
-  async handleSensorData(data) {
+  async handleSensorData(data, { rethrow = false } = {}) {
     try {
-      logger.info(`Received sensor data from device: ${data.deviceId}`);
+      logger.debug(`Received sensor data from device: ${data.deviceId}`);
+      
+      // First reading since startup, or device was offline - bring it back online
+      if (!this.onlineDevices.has(data.deviceId)) {
+        await this.setPresence(data.deviceId, true, 'data');
+        logger.info(`Device ${data.deviceId} is online (sensor data)`);
+      }
       
-      // Auto-register device if it doesn't exist
-      await this.ensureDeviceExists(data.deviceId);
+      const receivedAt = new Date();
       
-      // Save sensor data to MongoDB
-      const sensorReading = new SensorData({
+      const sensorReading = {
         deviceId: data.deviceId,
         timestamp: new Date(data.timestamp),
         networkStrength: data.networkStrength,
@@ -143,81 +389,259 @@ class MQTTService {
         voc: data.voc,
         fanSpeed: data.fanSpeed,
         powerOn: data.powerOn
-      });
-      
-      await sensorReading.save();
-      logger.info(`Sensor data saved to database for device: ${data.deviceId}`);
+      };
       
-      // Update device state
-      const updateData = {
-        currentFanSpeed: data.fanSpeed,
-        powerOn: data.powerOn,
-        isOnline: data.powerOn, // Device is online only if powered on
-        lastSeen: new Date(),
+      // Device state implied by the reading
+      const sensorState = {
+        isOnline: true, // Publishing means connected - power state is tracked separately
         latestSensorData: {
           temperature: data.temperature,
           humidity: data.humidity,
           pm25: data.pm25,
           networkStrength: data.networkStrength,
-          timestamp: new Date(data.timestamp)
+          timestamp: sensorReading.timestamp
         }
       };
       
+      const powerState = {
+        currentFanSpeed: data.fanSpeed,
+        powerOn: data.powerOn
+      };
+      
       // Special handling for auto-off notifications
       if (data.autoOff) {
-        updateData.isOnline = false;
-        logger.info(`Device ${data.deviceId} auto-turned off - marking as offline`);
+        logger.info(`Device ${data.deviceId} auto-turned off`);
+        
+        // The device changed state on its own - accept it as the new desired state
+        powerState['desired.powerOn'] = false;
+        powerState['desired.fanSpeed'] = 0;
+        powerState['desired.source'] = 'device';
+        powerState['desired.updatedAt'] = receivedAt;
       }
       
-      await DeviceState.findOneAndUpdate(
-        { deviceId: data.deviceId },
-        updateData,
-        { upsert: true, new: true }
-      );
+      ingestionService.enqueue(sensorReading, { sensor: sensorState, power: powerState }, receivedAt);
+      
+      // Push to dashboards
+      realtimeService.emitToDevice(data.deviceId, 'sensor:data', sensorReading);
+      realtimeService.emitDeviceState({
+        deviceId: data.deviceId,
+        ...powerState,
+        isOnline: true,
+        lastSeen: receivedAt
+      });
+      
+      // Device is talking to us again - deliver anything queued while it was away
+      if (this.queuedDevices.has(data.deviceId)) {
+        this.flushQueue(data.deviceId).catch((error) => {
+          logger.error(`Error flushing command queue for ${data.deviceId}:`, error);
+        });
+      }
       
     } catch (error) {
       logger.error('Error handling sensor data:', error);
+      if (rethrow) throw error;
     }
   }
   
   /**
    * Ensure device exists in database (auto-register if needed)
+   * 
+   * @returns {Promise<Object|null>} The Device document
    */
   async ensureDeviceExists(deviceId) {
     try {
       const Device = require('../models/Device');
       
       const existingDevice = await Device.findOne({ deviceId });
-      if (!existingDevice) {
-        // Auto-register device with default values
-        const device = new Device({
-          deviceId,
-          name: `Auto-registered ${deviceId}`,
-          type: 'AIR_PURIFIER',
-          location: {
-            room: 'Unknown',
-            building: 'Unknown'
-          },
-          specifications: {
-            model: 'Unknown',
-            manufacturer: 'Unknown',
-            maxFanSpeed: 5
-          },
-          status: 'active'
-        });
-        
-        await device.save();
-        logger.info(`Auto-registered device: ${deviceId}`);
+      if (existingDevice) {
+        return existingDevice;
       }
+      
+      // Auto-register device with default values
+      const device = new Device({
+        deviceId,
+        name: `Auto-registered ${deviceId}`,
+        type: 'AIR_PURIFIER',
+        location: {
+          room: 'Unknown',
+          building: 'Unknown'
+        },
+        specifications: {
+          model: 'Unknown',
+          manufacturer: 'Unknown',
+          maxFanSpeed: 5
+        },
+        status: 'active'
+      });
+      
+      await device.save();
+      logger.info(`Auto-registered device: ${deviceId}`);
+      
+      return device;
     } catch (error) {
       logger.error(`Error ensuring device exists: ${deviceId}`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Handle connectivity status from devices
+   * 
+   * Devices publish a retained "online" birth message and heartbeat, and
+   * register a retained "offline" Last Will that the broker publishes if
+   * they drop off. Power state is reported alongside but tracked separately.
+   */
+  async handleStatus(data, { rethrow = false } = {}) {
+    try {
+      const isOnline = data.status === 'online';
+      
+      logger.info(`Device ${data.deviceId} status: ${data.status}${data.reason ? ` (${data.reason})` : ''}`);
+      
+      const device = await this.ensureDeviceExists(data.deviceId);
+      
+      if (device && data.publishInterval && device.publishInterval !== data.publishInterval) {
+        device.publishInterval = data.publishInterval;
+        await device.save();
+      }
+      
+      const updateData = {};
+      
+      if (isOnline && data.powerOn !== undefined) {
+        updateData.powerOn = data.powerOn;
+        updateData.currentFanSpeed = data.fanSpeed;
+        updateData.reported = {
+          powerOn: data.powerOn,
+          fanSpeed: data.fanSpeed,
+          updatedAt: new Date()
+        };
+      }
+      
+      await this.setPresence(data.deviceId, isOnline, data.reason || 'status', updateData);
+      
+      if (isOnline) {
+        this.flushQueue(data.deviceId).catch((error) => {
+          logger.error(`Error flushing command queue for ${data.deviceId}:`, error);
+        });
+      }
+    } catch (error) {
+      logger.error('Error handling device status:', error);
+      if (rethrow) throw error;
+    }
+  }
+  
+  /**
+   * Mark a device online or offline in both DeviceState and Device
+   * 
+   * Device.status is only flipped between 'active' and 'offline', so
+   * devices put in maintenance or marked inactive keep their status.
+   * 
+   * @param {string} deviceId - Device ID
+   * @param {boolean} isOnline - New connectivity state
+   * @param {string} reason - What detected the change (birth, lwt, watchdog, ...)
+   * @param {Object} extraUpdate - Additional DeviceState fields to set
+   */
+  async setPresence(deviceId, isOnline, reason, extraUpdate = {}) {
+    const Device = require('../models/Device');
+    
+    const updateData = { ...extraUpdate, isOnline };
+    if (isOnline) {
+      updateData.lastSeen = new Date();
+    }
+    
+    const deviceState = await DeviceState.findOneAndUpdate(
+      { deviceId },
+      updateData,
+      { upsert: true, new: true }
+    );
+    
+    if (isOnline) {
+      this.onlineDevices.add(deviceId);
+    } else {
+      this.onlineDevices.delete(deviceId);
+    }
+    clusterService.publish('device:presence', { deviceId, isOnline });
+    
+    const device = await Device.findOne({ deviceId });
+    if (device) {
+      if (isOnline && device.status === 'offline') {
+        await device.markOnline();
+      } else if (isOnline) {
+        device.lastSeen = new Date();
+        await device.save();
+      } else if (!isOnline && device.status === 'active') {
+        await device.markOffline();
+      }
+    }
+    
+    realtimeService.emitDeviceState(deviceState);
+    realtimeService.emitToDevice(deviceId, 'device:presence', { isOnline, reason });
+  }
+  
+  /**
+   * Start the offline watchdog
+   * 
+   * Marks devices offline when nothing has been heard from them for
+   * presenceMultiplier x their publish interval (covers brokers that never
+   * deliver the Last Will, e.g. when the backend itself was down).
+   */
+  startPresenceWatchdog() {
+    if (this.watchdog) {
+      return;
+    }
+    
+    this.watchdog = setInterval(() => {
+      this.checkPresence().catch((error) => {
+        logger.error('Error checking device presence:', error);
+      });
+    }, this.presenceCheckInterval);
+    
+    logger.info(`Presence watchdog running every ${this.presenceCheckInterval}ms`);
+  }
+  
+  /**
+   * Stop the offline watchdog
+   */
+  stopPresenceWatchdog() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+  
+  /**
+   * Mark devices offline whose lastSeen is too old
+   */
+  async checkPresence() {
+    const Device = require('../models/Device');
+    
+    const onlineStates = await DeviceState.find({ isOnline: true }, { deviceId: 1, lastSeen: 1 });
+    if (onlineStates.length === 0) {
+      return;
+    }
+    
+    const devices = await Device.find(
+      { deviceId: { $in: onlineStates.map(state => state.deviceId) } },
+      { deviceId: 1, publishInterval: 1 }
+    );
+    const intervals = new Map(devices.map(device => [device.deviceId, device.publishInterval]));
+    
+    const now = Date.now();
+    
+    for (const state of onlineStates) {
+      const publishInterval = (intervals.get(state.deviceId) || DEFAULT_PUBLISH_INTERVAL) * 1000;
+      const silentFor = now - state.lastSeen.getTime();
+      
+      if (silentFor > publishInterval * this.presenceMultiplier) {
+        logger.warn(`Device ${state.deviceId} silent for ${Math.round(silentFor / 1000)}s - marking offline`);
+        await this.setPresence(state.deviceId, false, 'watchdog');
+      }
     }
   }
   
   /**
    * Handle acknowledgment from devices
    */
-  async handleAcknowledgment(data) {
+  async handleAcknowledgment(data, { rethrow = false } = {}) {
     try {
       logger.info(`Received acknowledgment from device: ${data.deviceId}`);
       logger.info(`Command ${data.commandId}: ${data.status} - ${data.message}`);
@@ -236,12 +660,15 @@ class MQTTService {
         }
       );
       
+      realtimeService.emitToDevice(data.deviceId, 'command:ack', {
+        commandId: data.commandId,
+        status: data.status,
+        message: data.message,
+        currentState: data.currentState
+      });
+      
       // Clear pending command timeout
-      if (this.pendingCommands.has(data.commandId)) {
-        const { timeoutId } = this.pendingCommands.get(data.commandId);
-        clearTimeout(timeoutId);
-        this.pendingCommands.delete(data.commandId);
-      }
+      const pending = this.takePendingCommand(data.commandId);
       
       // Update device state if command was successful
       if (data.status === 'success' && data.currentState) {
@@ -249,23 +676,69 @@ class MQTTService {
           currentFanSpeed: data.currentState.fanSpeed,
           powerOn: data.currentState.powerOn,
           isOnline: true,
-          lastSeen: new Date()
+          lastSeen: new Date(),
+          reported: {
+            powerOn: data.currentState.powerOn,
+            fanSpeed: data.currentState.fanSpeed,
+            updatedAt: new Date()
+          }
         };
         
-        // If device was turned off, mark as offline since it won't send more data
-        if (!data.currentState.powerOn) {
-          updateData.isOnline = false;
-        }
-        
-        await DeviceState.findOneAndUpdate(
+        const deviceState = await DeviceState.findOneAndUpdate(
           { deviceId: data.deviceId },
           updateData,
-          { upsert: true }
+          { upsert: true, new: true }
         );
+        
+        realtimeService.emitDeviceState(deviceState);
       }
       
+      // Settle the sender's promise now that the state is recorded
+      if (pending) {
+        this.settleCommand(pending, data);
+      } else {
+        // Sent by another node (acks are shared-subscription deliveries too)
+        clusterService.publish('command:ack', {
+          deviceId: data.deviceId,
+          commandId: data.commandId,
+          status: data.status,
+          message: data.message,
+          currentState: data.currentState
+        });
+      }
+      
+      this.flushQueue(data.deviceId).catch((error) => {
+        logger.error(`Error flushing command queue for ${data.deviceId}:`, error);
+      });
+      
     } catch (error) {
       logger.error('Error handling acknowledgment:', error);
+      if (rethrow) throw error;
+    }
+  }
+  
+  /**
+   * Remove a command from pendingCommands and stop its ack timer
+   * 
+   * @returns {Object|undefined} The pending entry, if this node was waiting for it
+   */
+  takePendingCommand(commandId) {
+    const pending = this.pendingCommands.get(commandId);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      this.pendingCommands.delete(commandId);
+    }
+    return pending;
+  }
+  
+  /**
+   * Resolve or reject a pending command from its acknowledgment
+   */
+  settleCommand(pending, ack) {
+    if (ack.status === 'success') {
+      pending.resolve({ acknowledged: true, commandId: ack.commandId, currentState: ack.currentState });
+    } else {
+      pending.reject(new Error(ack.message || `Command ${ack.commandId} failed on device`));
     }
   }
   
@@ -306,7 +779,7 @@ class MQTTService {
         { 
           $set: { 
             'scheduleState.scheduleEnded': true,
-            'scheduleState.scheduleEndedAt': new Date()
+            'scheduleState.scheduleEndedAt': clock.date()
           }
         },
         { upsert: true }
@@ -317,6 +790,12 @@ class MQTTService {
     
     const commandId = uuidv4();
     
+    // Record the intent in the device shadow (reconcile commands only replay it)
+    if (source !== 'reconcile') {
+      const desired = DeviceState.desiredFromCommand(action, value);
+      await DeviceState.setDesired(deviceId, desired, source, commandId);
+    }
+    
     const command = {
       commandId,
       action,
@@ -331,13 +810,94 @@ class MQTTService {
       action,
       value,
       source,
-      status: 'pending'
+      status: 'pending',
+      nodeId: clusterService.nodeId
     });
     
     await commandLog.save();
     
-    // Send command with retry logic
-    return this.sendCommandWithRetry(deviceId, command, 0);
+    // Device known to be offline, or older commands still waiting in its queue (keep ordering)
+    if (this.queueTtl > 0 && (await this.isDeviceOffline(deviceId) || await CommandLog.hasQueued(deviceId))) {
+      return this.enqueueCommand(deviceId, command);
+    }
+    
+    // Send command through the device's pipeline (failures carry the commandId for the caller's records)
+    return this.dispatch(deviceId, command).catch((error) => {
+      error.commandId = commandId;
+      throw error;
+    });
+  }
+  
+  /**
+   * Add a command to the device's pipeline
+   * 
+   * Commands to the same device are sent one at a time, in order. A new
+   * setFanSpeed/turnOff fully defines the device state, so any commands still
+   * waiting in the pipeline are superseded and never sent.
+   * 
+   * @returns {Promise<Object>} Resolves with the ack result, or { superseded: true, ... }
+   */
+  dispatch(deviceId, command, retryCount = 0) {
+    return new Promise((resolve, reject) => {
+      if (!this.pipelines.has(deviceId)) {
+        this.pipelines.set(deviceId, { busy: false, waiting: [] });
+      }
+      
+      const pipeline = this.pipelines.get(deviceId);
+      
+      if (SUPERSEDING_ACTIONS.includes(command.action) && pipeline.waiting.length > 0) {
+        const superseded = pipeline.waiting.splice(0);
+        this.markSuperseded(deviceId, superseded, command).catch((error) => {
+          logger.error(`Error marking superseded commands for ${deviceId}:`, error);
+        });
+      }
+      
+      pipeline.waiting.push({ command, retryCount, resolve, reject });
+      this.drainPipeline(deviceId);
+    });
+  }
+  
+  /**
+   * Send waiting commands for a device one at a time (internal method)
+   */
+  async drainPipeline(deviceId) {
+    const pipeline = this.pipelines.get(deviceId);
+    if (!pipeline || pipeline.busy) {
+      return;
+    }
+    
+    pipeline.busy = true;
+    
+    try {
+      while (pipeline.waiting.length > 0) {
+        const { command, retryCount, resolve, reject } = pipeline.waiting.shift();
+        
+        try {
+          resolve(await this.sendCommandWithRetry(deviceId, command, retryCount));
+        } catch (error) {
+          reject(error);
+        }
+      }
+    } finally {
+      pipeline.busy = false;
+      this.pipelines.delete(deviceId);
+    }
+  }
+  
+  /**
+   * Record commands that were replaced before being sent (internal method)
+   */
+  async markSuperseded(deviceId, entries, newer) {
+    for (const { command, resolve } of entries) {
+      logger.info(`Command ${command.commandId} (${command.action} ${command.value}) superseded by ${newer.commandId} for ${deviceId}`);
+      
+      await CommandLog.findOneAndUpdate(
+        { commandId: command.commandId },
+        { status: 'superseded', supersededBy: newer.commandId }
+      );
+      
+      resolve({ superseded: true, commandId: command.commandId, supersededBy: newer.commandId });
+    }
   }
   
   /**
@@ -379,53 +939,424 @@ class MQTTService {
           }
         );
         
-        // Set timeout for acknowledgment
-        const timeoutId = setTimeout(async () => {
-          logger.warn(`No acknowledgment received for command ${command.commandId}`);
+        // Wait for acknowledgment (retries on timeout)
+        this.armAckTimeout(deviceId, command, retryCount, this.retryTimeout, resolve, reject);
+      });
+    });
+  }
+  
+  /**
+   * Arm the acknowledgment timeout for a published command (internal method)
+   * 
+   * When the timer fires without an ack, the command is re-published until
+   * maxRetries is reached and then marked as timed out.
+   */
+  armAckTimeout(deviceId, command, retryCount, delay, resolve, reject) {
+    const timeoutId = setTimeout(async () => {
+      logger.warn(`No acknowledgment received for command ${command.commandId}`);
+      
+      // Remove from pending commands
+      this.pendingCommands.delete(command.commandId);
+      
+      // The ack may have reached another node and its relay got lost
+      if (clusterService.enabled) {
+        const log = await CommandLog.findOne({ commandId: command.commandId }, { status: 1, deviceResponse: 1 });
+        if (log && ['acknowledged', 'failed'].includes(log.status)) {
+          logger.info(`Command ${command.commandId} was acknowledged on another node`);
+          this.settleCommand({ resolve, reject }, {
+            commandId: command.commandId,
+            status: log.status === 'acknowledged' ? 'success' : 'error',
+            message: log.deviceResponse && log.deviceResponse.message
+          });
+          return;
+        }
+      }
+      
+      // Device known to be offline - stop retrying and wait for it to come back
+      if (this.queueTtl > 0 && await this.isDeviceOffline(deviceId)) {
+        logger.info(`Device ${deviceId} is offline - queueing command ${command.commandId}`);
+        try {
+          resolve(await this.enqueueCommand(deviceId, command));
+        } catch (error) {
+          reject(error);
+        }
+        return;
+      }
+      
+      // Retry if not exceeded max retries
+      if (retryCount < this.maxRetries) {
+        logger.info(`Retrying command ${command.commandId}...`);
+        try {
+          const result = await this.sendCommandWithRetry(deviceId, command, retryCount + 1);
+          resolve(result);
+        } catch (error) {
+          reject(error);
+        }
+      } else if (this.queueTtl > 0) {
+        // Max retries exceeded - keep the command until the device is reachable again
+        logger.warn(`Command ${command.commandId} got no ack after ${this.maxRetries} retries - queueing it`);
+        try {
+          resolve(await this.enqueueCommand(deviceId, command));
+        } catch (error) {
+          reject(error);
+        }
+      } else {
+        // Max retries exceeded
+        logger.error(`Command ${command.commandId} failed after ${this.maxRetries} retries`);
+        
+        await CommandLog.findOneAndUpdate(
+          { commandId: command.commandId },
+          {
+            status: 'timeout',
+            errorMessage: `No acknowledgment after ${this.maxRetries} retries`
+          }
+        );
+        
+        realtimeService.emitToDevice(deviceId, 'command:timeout', {
+          commandId: command.commandId,
+          action: command.action,
+          value: command.value,
+          retries: this.maxRetries
+        });
+        
+        reject(new Error('Device did not respond after maximum retries'));
+      }
+    }, delay);
+    
+    // Store pending command
+    this.pendingCommands.set(command.commandId, {
+      deviceId,
+      command,
+      timeoutId,
+      resolve,
+      reject
+    });
+  }
+  
+  /**
+   * Check whether a device is currently known to be offline
+   */
+  async isDeviceOffline(deviceId) {
+    const deviceState = await DeviceState.findOne({ deviceId }, { isOnline: 1 });
+    return Boolean(deviceState) && deviceState.isOnline === false;
+  }
+  
+  /**
+   * Put a command in the device's offline queue
+   * 
+   * @returns {Promise<Object>} Queue result ({ queued: true, commandId, expiresAt })
+   */
+  async enqueueCommand(deviceId, command) {
+    const queuedAt = new Date();
+    const expiresAt = new Date(queuedAt.getTime() + this.queueTtl);
+    
+    await CommandLog.findOneAndUpdate(
+      { commandId: command.commandId },
+      { status: 'queued', queuedAt, expiresAt }
+    );
+    
+    this.queuedDevices.add(deviceId);
+    clusterService.publish('device:queued', { deviceId });
+    
+    logger.info(`Command ${command.commandId} queued for ${deviceId} until ${expiresAt.toISOString()}`);
+    
+    realtimeService.emitToDevice(deviceId, 'command:queued', {
+      commandId: command.commandId,
+      action: command.action,
+      value: command.value,
+      expiresAt
+    });
+    
+    return { queued: true, commandId: command.commandId, expiresAt };
+  }
+  
+  /**
+   * Deliver a device's queued commands in order
+   * 
+   * Called whenever the device shows signs of life (sensor data or ack).
+   * Live commands are handed to the device pipeline in queue order, so they
+   * go out one at a time and stale fan-speed intents are superseded.
+   */
+  async flushQueue(deviceId) {
+    if (this.queueTtl <= 0 || this.flushing.has(deviceId)) {
+      return;
+    }
+    
+    this.flushing.add(deviceId);
+    
+    // Commands that fail to deliver are re-queued (and the device re-added) by enqueueCommand
+    this.queuedDevices.delete(deviceId);
+    
+    try {
+      const queued = await CommandLog.findQueued(deviceId);
+      
+      if (queued.length > 0) {
+        logger.info(`Flushing ${queued.length} queued command(s) to ${deviceId}`);
+      }
+      
+      const deliveries = [];
+      
+      for (const log of queued) {
+        if (log.expiresAt && log.expiresAt <= new Date()) {
+          await CommandLog.findOneAndUpdate(
+            { commandId: log.commandId },
+            { status: 'expired', errorMessage: 'Expired in offline queue' }
+          );
+          logger.info(`Queued command ${log.commandId} for ${deviceId} expired`);
+          continue;
+        }
+        
+        const command = {
+          commandId: log.commandId,
+          action: log.action,
+          value: log.value,
+          timestamp: log.createdAt.toISOString()
+        };
+        
+        // Claim it atomically - another node may be flushing the same queue
+        const claimed = await CommandLog.findOneAndUpdate(
+          { commandId: log.commandId, status: 'queued' },
+          { status: 'pending' }
+        );
+        if (!claimed) {
+          continue;
+        }
+        
+        deliveries.push(
+          this.dispatch(deviceId, command).catch((error) => {
+            logger.error(`Queued command ${log.commandId} failed: ${error.message}`);
+          })
+        );
+      }
+      
+      await Promise.all(deliveries);
+    } finally {
+      this.flushing.delete(deviceId);
+    }
+  }
+  
+  /**
+   * Rebuild the set of devices with queued commands (after a restart)
+   */
+  async loadQueuedDevices() {
+    try {
+      const deviceIds = await CommandLog.distinct('deviceId', { status: 'queued' });
+      deviceIds.forEach(deviceId => this.queuedDevices.add(deviceId));
+      
+      if (deviceIds.length > 0) {
+        logger.info(`${deviceIds.length} device(s) have queued commands`);
+      }
+    } catch (error) {
+      logger.error('Error loading queued devices:', error);
+    }
+  }
+  
+  /**
+   * Recover in-flight commands after a backend restart
+   * 
+   * pendingCommands and the ack timers only live in memory, so on startup
+   * the CommandLog is scanned for commands still "pending" or "sent". Each one
+   * is expired, marked as timed out, re-armed or re-published.
+   * 
+   * @returns {Promise<Object>} Counts per recovery decision
+   */
+  async recoverPendingCommands() {
+    const summary = { republished: 0, rearmed: 0, expired: 0, timedOut: 0 };
+    
+    try {
+      // In cluster mode other nodes' commands are still in flight - only take our own
+      const unfinished = await CommandLog.findUnfinished(clusterService.enabled ? clusterService.nodeId : undefined);
+      
+      if (unfinished.length === 0) {
+        logger.info('No in-flight commands to recover');
+        return summary;
+      }
+      
+      logger.info(`Recovering ${unfinished.length} in-flight command(s) from previous run`);
+      
+      const now = Date.now();
+      
+      for (const log of unfinished) {
+        const { commandId, deviceId, action, value } = log;
+        const createdAt = log.createdAt || log.sentAt;
+        
+        // Too old to be useful - the intent has most likely been superseded
+        if (now - createdAt.getTime() > this.commandExpiry) {
+          await CommandLog.findOneAndUpdate(
+            { commandId },
+            {
+              status: 'expired',
+              errorMessage: 'Command expired while backend was down'
+            }
+          );
+          summary.expired++;
+          logger.info(`Expired stale command ${commandId} for ${deviceId}`);
+          continue;
+        }
+        
+        const command = {
+          commandId,
+          action,
+          value,
+          timestamp: createdAt.toISOString()
+        };
+        
+        const handleFailure = (error) => {
+          logger.error(`Recovered command ${commandId} failed: ${error.message}`);
+        };
+        
+        if (log.status === 'sent') {
+          const waited = now - log.sentAt.getTime();
           
-          // Remove from pending commands
-          this.pendingCommands.delete(command.commandId);
+          if (waited < this.retryTimeout) {
+            // Ack window still open - just rebuild the timer for the remaining time
+            new Promise((resolve, reject) => {
+              this.armAckTimeout(deviceId, command, log.retryCount, this.retryTimeout - waited, resolve, reject);
+            }).catch(handleFailure);
+            summary.rearmed++;
+            logger.info(`Re-armed ack timer for command ${commandId} (${this.retryTimeout - waited}ms left)`);
+            continue;
+          }
           
-          // Retry if not exceeded max retries
-          if (retryCount < this.maxRetries) {
-            logger.info(`Retrying command ${command.commandId}...`);
-            try {
-              const result = await this.sendCommandWithRetry(deviceId, command, retryCount + 1);
-              resolve(result);
-            } catch (error) {
-              reject(error);
-            }
-          } else {
-            // Max retries exceeded
-            logger.error(`Command ${command.commandId} failed after ${this.maxRetries} retries`);
-            
+          if (log.retryCount >= this.maxRetries) {
             await CommandLog.findOneAndUpdate(
-              { commandId: command.commandId },
+              { commandId },
               {
                 status: 'timeout',
                 errorMessage: `No acknowledgment after ${this.maxRetries} retries`
               }
             );
-            
-            reject(new Error('Device did not respond after maximum retries'));
+            summary.timedOut++;
+            logger.info(`Marked command ${commandId} as timed out`);
+            continue;
           }
-        }, this.retryTimeout);
+          
+          // Ack window passed while we were down - count it as a failed attempt
+          this.dispatch(deviceId, command, log.retryCount + 1).catch(handleFailure);
+        } else {
+          // Never published - send it now
+          this.dispatch(deviceId, command, log.retryCount).catch(handleFailure);
+        }
         
-        // Store pending command
-        this.pendingCommands.set(command.commandId, {
-          command,
-          timeoutId,
-          resolve,
-          reject
-        });
+        summary.republished++;
+        logger.info(`Re-published command ${commandId} (${action} ${value}) to ${deviceId}`);
+      }
+      
+      logger.info(`Command recovery complete: ${JSON.stringify(summary)}`);
+    } catch (error) {
+      logger.error('Error recovering in-flight commands:', error);
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Start the shadow reconciliation loop
+   */
+  startReconciliation() {
+    if (this.reconciler) {
+      return;
+    }
+    
+    this.reconciler = setInterval(() => {
+      this.reconcile().catch((error) => {
+        logger.error('Error reconciling device shadows:', error);
       });
+    }, this.reconcileInterval);
+    
+    logger.info(`Shadow reconciliation running every ${this.reconcileInterval}ms`);
+  }
+  
+  /**
+   * Stop the shadow reconciliation loop
+   */
+  stopReconciliation() {
+    if (this.reconciler) {
+      clearInterval(this.reconciler);
+      this.reconciler = null;
+    }
+  }
+  
+  /**
+   * Check whether a command for the device is still waiting for an ack
+   */
+  hasPendingCommand(deviceId) {
+    if (this.pipelines.has(deviceId)) {
+      return true;
+    }
+    
+    for (const pending of this.pendingCommands.values()) {
+      if (pending.deviceId === deviceId) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  /**
+   * Re-send commands to devices whose reported state differs from desired
+   * 
+   * Covers lost acks and devices that changed state behind our back.
+   * Devices with a command in flight, or whose desired state changed within
+   * the last ack window, are left alone.
+   */
+  async reconcile() {
+    if (!this.isConnected) {
+      return;
+    }
+    
+    const cutoff = new Date(Date.now() - this.retryTimeout);
+    const states = await DeviceState.find({
+      'desired.updatedAt': { $lte: cutoff }
     });
+    
+    for (const state of states) {
+      const delta = state.getDelta();
+      
+      if (Object.keys(delta).length === 0 || this.hasPendingCommand(state.deviceId)) {
+        continue;
+      }
+      
+      // Queued commands will carry the intent once the device is back
+      if (await CommandLog.hasQueued(state.deviceId)) {
+        continue;
+      }
+      
+      // Another node may have a command in flight for this device
+      if (clusterService.enabled && await CommandLog.exists({ deviceId: state.deviceId, status: { $in: ['pending', 'sent'] } })) {
+        continue;
+      }
+      
+      const { powerOn, fanSpeed } = state.desired;
+      let action;
+      let value;
+      
+      if (!powerOn) {
+        action = 'turnOff';
+        value = 0;
+      } else if (fanSpeed > 0) {
+        action = 'setFanSpeed';
+        value = fanSpeed;
+      } else {
+        action = 'turnOn';
+        value = 0;
+      }
+      
+      logger.info(`Shadow out of sync for ${state.deviceId} (delta: ${JSON.stringify(delta)}) - re-sending ${action} ${value}`);
+      
+      this.sendCommand(state.deviceId, action, value, 'reconcile').catch((error) => {
+        logger.error(`Reconcile command for ${state.deviceId} failed: ${error.message}`);
+      });
+    }
   }
   
   /**
    * Disconnect from MQTT broker
    */
   disconnect() {
+    this.stopReconciliation();
+    this.stopPresenceWatchdog();
+    
     if (this.client) {
       this.client.end();
       this.isConnected = false;
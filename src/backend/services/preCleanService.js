@@ -8,14 +8,156 @@ const logger = require('../utils/logger');
 const PreClean = require('../models/PreClean');
 const DeviceState = require('../models/DeviceState');
 const mqttService = require('./mqttService');
+const realtimeService = require('./realtimeService');
+const clusterService = require('./clusterService');
+const recurrence = require('../utils/recurrence');
+const clock = require('../utils/clock');
 const crypto = require('crypto');
 
 class PreCleanService {
+  constructor() {
+    // Completion timers for active pre-cleans
+    // Map structure: preCleanId -> timer (clock.runAt handle)
+    this.timers = new Map();
+    
+    // Pre-cleans currently being completed (guards timer/sweeper races)
+    this.completing = new Set();
+    
+    // Periodic check for overdue pre-cleans
+    this.sweepInterval = parseInt(process.env.PRECLEAN_SWEEP_INTERVAL) || 30000; // 30 seconds
+    this.sweeper = null;
+    
+    // Pre-cleans started on a follower get their completion timer on the leader
+    clusterService.on('preclean:started', async ({ preCleanId }) => {
+      if (!clusterService.isLeader()) {
+        return;
+      }
+      
+      const preClean = await PreClean.findOne({ preCleanId, status: 'active' });
+      if (preClean) {
+        this.armTimer(preClean);
+      }
+    });
+  }
+
   /**
    * Initialize the service
+   * 
+   * Timers only live in memory, so any pre-clean still "active" in the
+   * database is recovered here: overdue ones are completed (restoring the
+   * device), the rest get their completion timer re-armed.
    */
   async initialize() {
-    logger.info('PreClean service initialized');
+    try {
+      const activePreCleans = await PreClean.find({ status: 'active' }).sort({ scheduledEndAt: 1 });
+      
+      if (activePreCleans.length > 0) {
+        logger.info(`Recovering ${activePreCleans.length} active pre-clean(s)`);
+      }
+      
+      for (const preClean of activePreCleans) {
+        if (preClean.scheduledEndAt <= clock.date()) {
+          logger.info(`Pre-clean ${preClean.preCleanId} expired while backend was down - completing it`);
+          await this.finishPreClean(preClean.preCleanId);
+        } else {
+          this.armTimer(preClean);
+        }
+      }
+      
+      this.startSweeper();
+      
+      logger.info('PreClean service initialized');
+    } catch (error) {
+      logger.error('Error initializing PreClean service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Arm the completion timer for a pre-clean
+   */
+  armTimer(preClean) {
+    const { preCleanId } = preClean;
+    const delay = Math.max(0, preClean.scheduledEndAt.getTime() - clock.now());
+    
+    this.clearTimer(preCleanId);
+    
+    const timer = clock.runAt(preClean.scheduledEndAt, async () => {
+      this.timers.delete(preCleanId);
+      console.log(`[TIMER] Pre-clean timer fired for ${preCleanId}`);
+      await this.finishPreClean(preCleanId);
+    });
+    
+    this.timers.set(preCleanId, timer);
+    console.log(`[PRECLEAN] Timer set for ${preCleanId} - fires in ${Math.round(delay / 1000)} seconds`);
+  }
+
+  /**
+   * Clear the completion timer for a pre-clean (if any)
+   */
+  clearTimer(preCleanId) {
+    if (this.timers.has(preCleanId)) {
+      this.timers.get(preCleanId).stop();
+      this.timers.delete(preCleanId);
+    }
+  }
+
+  /**
+   * Start the sweeper that completes overdue pre-cleans
+   * 
+   * Safety net for timers that were lost or never armed, so that no
+   * override is left running forever.
+   */
+  startSweeper() {
+    if (this.sweeper) {
+      return;
+    }
+    
+    this.sweeper = setInterval(() => {
+      this.sweepExpired().catch((error) => {
+        logger.error('Error sweeping expired pre-cleans:', error);
+      });
+    }, this.sweepInterval);
+  }
+
+  /**
+   * Complete every pre-clean whose scheduled end has passed
+   */
+  async sweepExpired() {
+    const expired = await PreClean.findExpired();
+    
+    for (const preClean of expired) {
+      logger.warn(`Sweeper found overdue pre-clean ${preClean.preCleanId} - completing it`);
+      await this.finishPreClean(preClean.preCleanId);
+    }
+  }
+
+  /**
+   * Complete a pre-clean by ID if it is still active
+   * 
+   * Shared by the timer, the sweeper and startup recovery.
+   */
+  async finishPreClean(preCleanId) {
+    if (this.completing.has(preCleanId)) {
+      return;
+    }
+    
+    this.completing.add(preCleanId);
+    this.clearTimer(preCleanId);
+    
+    try {
+      const activePreClean = await PreClean.findOne({ preCleanId, status: 'active' });
+      if (activePreClean) {
+        console.log(`[TIMER] Found active pre-clean ${preCleanId}, completing it`);
+        await this.completePreClean(activePreClean);
+      } else {
+        console.log(`[TIMER] Pre-clean ${preCleanId} not found or already completed`);
+      }
+    } catch (error) {
+      logger.error(`Error finishing pre-clean ${preCleanId}:`, error);
+    } finally {
+      this.completing.delete(preCleanId);
+    }
   }
 
   /**
@@ -43,7 +185,7 @@ class PreCleanService {
         fanSpeed: fanSpeed, // Store the fanSpeed for MANUAL mode
         duration: durationSeconds,
         previousState: currentState,
-        scheduledEndAt: new Date(Date.now() + durationSeconds * 1000)
+        scheduledEndAt: new Date(clock.now() + durationSeconds * 1000)
       });
 
       await preClean.save();
@@ -73,27 +215,20 @@ class PreCleanService {
       
       console.log(`[PRECLEAN] Command sent, now setting timer for ${durationSeconds} seconds`);
       
-      // Set timer for completion
-      const self = this;
-      const timerId = setTimeout(async () => {
-        try {
-          console.log(`[TIMER] Pre-clean timer fired for ${preClean.preCleanId} after ${durationSeconds} seconds`);
-          const activePreClean = await PreClean.findOne({ 
-            preCleanId: preClean.preCleanId, 
-            status: 'active' 
-          });
-          if (activePreClean) {
-            console.log(`[TIMER] Found active pre-clean ${preClean.preCleanId}, completing it`);
-            await self.completePreClean(activePreClean);
-          } else {
-            console.log(`[TIMER] Pre-clean ${preClean.preCleanId} not found or already completed`);
-          }
-        } catch (error) {
-          console.error(`[TIMER] Error completing pre-clean:`, error);
-        }
-      }, durationSeconds * 1000);
-      
-      console.log(`[PRECLEAN] Timer ${timerId} set successfully for ${durationSeconds} seconds`);
+      // Set timer for completion (only the leader runs pre-clean timers;
+      // cancelled pre-cleans are skipped when their timer fires)
+      if (clusterService.isLeader()) {
+        this.armTimer(preClean);
+      } else {
+        clusterService.publish('preclean:started', { preCleanId: preClean.preCleanId });
+      }
+
+      realtimeService.emitToDevice(deviceId, 'preclean:started', {
+        preCleanId: preClean.preCleanId,
+        fanMode,
+        fanSpeed: targetFanSpeed,
+        scheduledEndAt: preClean.scheduledEndAt
+      });
 
       return preClean;
     } catch (error) {
@@ -109,8 +244,13 @@ class PreCleanService {
     const activePreCleans = await PreClean.findActiveByDevice(deviceId);
     
     for (const preClean of activePreCleans) {
+      this.clearTimer(preClean.preCleanId);
       await preClean.markCancelled();
       logger.info(`Cancelled pre-clean: ${preClean.preCleanId}`);
+      
+      realtimeService.emitToDevice(deviceId, 'preclean:cancelled', {
+        preCleanId: preClean.preCleanId
+      });
     }
   }
 
@@ -132,10 +272,14 @@ class PreCleanService {
       
       // Mark this pre-clean as completed
       preClean.status = 'completed';
-      preClean.actualEndAt = new Date();
+      preClean.actualEndAt = clock.date();
       await preClean.save();
       console.log(`[COMPLETE] Marked pre-clean ${preClean.preCleanId} as completed`);
       
+      realtimeService.emitToDevice(preClean.deviceId, 'preclean:completed', {
+        preCleanId: preClean.preCleanId
+      });
+      
       if (activePreCleans.length > 0) {
         // Restore to the most recent active pre-clean's target speed
         const mostRecentPreClean = activePreCleans[0]; // Already sorted by startedAt desc
@@ -166,18 +310,18 @@ class PreCleanService {
         
         // Check if any schedules are currently active
         const schedulerService = require('./schedulerService');
-        const currentTime = new Date();
+        const currentTime = clock.date();
         const activeSchedules = await schedulerService.getActiveSchedulesAtTime(preClean.deviceId, currentTime);
         
         console.log(`[COMPLETE] Found ${activeSchedules.length} active schedules at current time`);
         
         if (activeSchedules.length > 0) {
-          // There are active schedules - restore to highest priority schedule
-          const highestSpeedSchedule = activeSchedules.reduce((max, current) => 
-            current.fanSpeed > max.fanSpeed ? current : max
-          );
-          console.log(`[COMPLETE] Active schedule found - restoring to schedule speed ${highestSpeedSchedule.fanSpeed}`);
-          await mqttService.sendCommand(preClean.deviceId, 'setFanSpeed', highestSpeedSchedule.fanSpeed, 'restore');
+          // There are active schedules - restore to the one the device's policy picks
+          const policy = await schedulerService.loadPolicy(preClean.deviceId);
+          const winner = schedulerService.pickWinner(activeSchedules, policy, currentTime);
+          const fanSpeed = recurrence.speedAt(winner, currentTime);
+          console.log(`[COMPLETE] Active schedule found - restoring to schedule speed ${fanSpeed}`);
+          await mqttService.sendCommand(preClean.deviceId, 'setFanSpeed', fanSpeed, 'restore');
         } else {
           // No active schedules - restore to the state this pre-clean saved
           const originalState = preClean.previousState;
@@ -227,14 +371,19 @@ class PreCleanService {
       }
       
       console.log(`[CANCEL] Immediately cancelling pre-clean ${preCleanId}`);
+      this.clearTimer(preCleanId);
       
       // Mark as cancelled
       preClean.status = 'cancelled';
-      preClean.actualEndAt = new Date();
+      preClean.actualEndAt = clock.date();
       await preClean.save();
       
       console.log(`[CANCEL] Pre-clean ${preCleanId} cancelled successfully`);
       
+      realtimeService.emitToDevice(preClean.deviceId, 'preclean:cancelled', {
+        preCleanId
+      });
+      
     } catch (error) {
       logger.error(`Error cancelling pre-clean ${preCleanId}:`, error);
     }
@@ -254,8 +403,9 @@ class PreCleanService {
       // If it's active, mark as cancelled instead of deleting
       if (preClean.status === 'active') {
         console.log(`[DELETE] Marking active pre-clean ${preCleanId} as cancelled`);
+        this.clearTimer(preCleanId);
         preClean.status = 'cancelled';
-        preClean.actualEndAt = new Date();
+        preClean.actualEndAt = clock.date();
         await preClean.save();
         
         // Trigger immediate restoration to handle the stack properly
@@ -285,6 +435,16 @@ class PreCleanService {
    * Shutdown the service
    */
   shutdown() {
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
+    
+    for (const timer of this.timers.values()) {
+      timer.stop();
+    }
+    this.timers.clear();
+    
     logger.info('PreClean service shutdown');
   }
 }
@@ -0,0 +1,113 @@
+/**
+ * Realtime Service
+ *
+ * Pushes device state, sensor readings, command acks and schedule/pre-clean
+ * transitions to dashboards over socket.io, so they don't have to poll.
+ *
+ * Clients join a per-device room either by passing ?deviceId=... in the
+ * handshake query or by emitting "subscribe" with a device ID.
+ */
+
+const { Server } = require('socket.io');
+const logger = require('../utils/logger');
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach socket.io to the HTTP server
+   *
+   * @param {http.Server} httpServer - Server the Express app listens on
+   */
+  attach(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: process.env.SOCKET_CORS_ORIGIN || '*'
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      logger.info(`Realtime client connected: ${socket.id}`);
+
+      const { deviceId } = socket.handshake.query;
+      if (deviceId) {
+        socket.join(this.room(deviceId));
+      }
+
+      socket.on('subscribe', (id) => {
+        if (typeof id === 'string' && id.length > 0) {
+          socket.join(this.room(id));
+          logger.info(`Realtime client ${socket.id} subscribed to ${id}`);
+        }
+      });
+
+      socket.on('unsubscribe', (id) => {
+        socket.leave(this.room(id));
+      });
+
+      socket.on('disconnect', () => {
+        logger.info(`Realtime client disconnected: ${socket.id}`);
+      });
+    });
+
+    logger.info('Realtime (socket.io) server attached');
+  }
+
+  /**
+   * Room name for a device
+   */
+  room(deviceId) {
+    return `device:${deviceId}`;
+  }
+
+  /**
+   * Emit an event to everyone subscribed to a device
+   *
+   * @param {string} deviceId - Device the event belongs to
+   * @param {string} event - Event name (e.g. "sensor:data")
+   * @param {Object} payload - Event data
+   */
+  emitToDevice(deviceId, event, payload = {}) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.to(this.room(deviceId)).emit(event, {
+      deviceId,
+      ...payload,
+      emittedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Emit the current state of a device (from a DeviceState document)
+   */
+  emitDeviceState(deviceState) {
+    if (!deviceState) {
+      return;
+    }
+
+    this.emitToDevice(deviceState.deviceId, 'device:state', {
+      currentFanSpeed: deviceState.currentFanSpeed,
+      powerOn: deviceState.powerOn,
+      isOnline: deviceState.isOnline,
+      lastSeen: deviceState.lastSeen
+    });
+  }
+
+  /**
+   * Close all client connections
+   */
+  close() {
+    if (this.io) {
+      this.io.close();
+      this.io = null;
+      logger.info('Realtime server closed');
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RealtimeService();
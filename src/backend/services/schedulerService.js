@@ -1,21 +1,232 @@
 /**
  * Scheduler Service
  * 
- * This manages recurring schedules using cron jobs.
+ * This manages recurring schedules using start/end timers.
  * Think of it as an alarm clock system that triggers commands at specific times.
  */
 
-const cron = require('node-cron');
 const logger = require('../utils/logger');
 const Schedule = require('../models/Schedule');
-const DeviceState = require('../models/DeviceState');
+const Device = require('../models/Device');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const ScheduleExecution = require('../models/ScheduleExecution');
 const mqttService = require('./mqttService');
+const realtimeService = require('./realtimeService');
+const clusterService = require('./clusterService');
+const recurrence = require('../utils/recurrence');
+const clock = require('../utils/clock');
+
+// How far ahead new schedules are checked for overlaps
+const CONFLICT_HORIZON_DAYS = 366;
+
+// Outcomes that count as the schedule having run (see Schedule.lastExecuted)
+const EXECUTED_STATUSES = ['success', 'queued', 'superseded'];
+
+// Overlap resolution per Device.schedulePolicy (> 0 means a beats b)
+const POLICY_COMPARATORS = {
+  highest_speed: (a, b) => (a.fanSpeed - b.fanSpeed) || ((a.priority || 0) - (b.priority || 0)),
+  highest_priority: (a, b) => ((a.priority || 0) - (b.priority || 0)) || (a.fanSpeed - b.fanSpeed),
+  most_recent: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  // Only overlaps created before the policy was chosen get here
+  reject_overlaps: (a, b) => ((a.priority || 0) - (b.priority || 0)) || (a.fanSpeed - b.fanSpeed)
+};
 
 class SchedulerService {
   constructor() {
-    // Store active cron jobs
-    // Map structure: scheduleId -> cronJob
+    // Store active timers
+    // Map structure: scheduleId_start / scheduleId_end / scheduleId_retry / scheduleId_resume -> timer
     this.activeJobs = new Map();
+    
+    // Failed starts are retried while their window is open
+    this.retryDelay = parseInt(process.env.SCHEDULE_RETRY_DELAY) || 60000; // 1 minute
+    this.maxStartRetries = parseInt(process.env.SCHEDULE_MAX_RETRIES) || 3;
+    
+    // Schedules created/changed on a follower are armed by the leader
+    clusterService.on('schedule:changed', async ({ scheduleId, resumed }) => {
+      if (clusterService.isLeader()) {
+        await this.reloadSchedule(scheduleId, { resumed });
+      }
+    });
+    
+    // Start ticks may have failed to reach devices while the broker was away
+    mqttService.onReconnect(async () => {
+      if (clusterService.isLeader()) {
+        await this.catchUp('reconnect');
+      }
+    });
+  }
+  
+  /**
+   * (Re-)arm a schedule's jobs on this node, or hand it to the leader
+   * 
+   * Active schedules get their start/end timers (and are applied right away if their
+   * window is already open), paused ones only their resume timer.
+   * 
+   * @param {Object} [options] - { resumed: re-apply even if this window's start already ran }
+   */
+  async armSchedule(schedule, { resumed = false } = {}) {
+    if (!clusterService.isLeader()) {
+      // Only the leader runs schedule timers
+      clusterService.publish('schedule:changed', { scheduleId: schedule._id.toString(), resumed });
+      return;
+    }
+    
+    this.stopJobs(schedule._id);
+    
+    if (schedule.isActive) {
+      await this.withLocation(schedule);
+      this.armTimers(schedule);
+      await this.startIfOpen(schedule, resumed);
+    } else if (schedule.pausedUntil) {
+      this.armResume(schedule);
+    }
+  }
+  
+  /**
+   * Arm the timer that resumes a paused schedule at pausedUntil
+   */
+  armResume(schedule) {
+    const { _id, pausedUntil } = schedule;
+    
+    const resumeJob = clock.runAt(pausedUntil, async () => {
+      this.activeJobs.delete(`${_id}_resume`);
+      try {
+        await this.resumeSchedule(_id);
+      } catch (error) {
+        logger.error(`Error resuming schedule ${_id}:`, error);
+      }
+    });
+    
+    this.activeJobs.set(`${_id}_resume`, resumeJob);
+    logger.info(`Schedule ${_id} paused until ${recurrence.formatDateTime(pausedUntil, recurrence.timeZoneOf(schedule))}`);
+  }
+  
+  /**
+   * Stop all timers belonging to a schedule
+   */
+  stopJobs(scheduleId) {
+    const prefix = `${scheduleId}_`;
+    
+    for (const [key, job] of this.activeJobs) {
+      if (key.startsWith(prefix)) {
+        job.stop();
+        this.activeJobs.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Re-create a schedule's jobs from the database (drops them if it was deleted)
+   */
+  async reloadSchedule(scheduleId, options) {
+    const schedule = await Schedule.findById(scheduleId);
+    if (schedule) {
+      await this.armSchedule(schedule, options);
+    } else {
+      this.stopJobs(scheduleId);
+    }
+    
+    logger.info(`Schedule ${scheduleId} reloaded`);
+  }
+  
+  /**
+   * Catch up a schedule's device if the schedule's window is already open
+   * (in the background - the command waits for the device's ack)
+   */
+  async startIfOpen(schedule, resumed = false) {
+    const now = clock.date();
+    if (recurrence.isActiveAt(schedule, now)) {
+      this.catchUpDevice(schedule.deviceId, now, resumed ? 'resumed' : 'created', resumed).catch((error) => {
+        logger.error(`Error catching up schedules for ${schedule.deviceId}:`, error);
+      });
+    }
+  }
+  
+  /**
+   * Apply the schedule that should currently control each device
+   * 
+   * Covers start ticks missed while the backend (or its MQTT connection) was
+   * down. Runs on startup/leader election and after an MQTT reconnect.
+   * 
+   * @param {string} reason - 'startup' or 'reconnect'
+   */
+  async catchUp(reason) {
+    const now = clock.date();
+    const deviceIds = await Schedule.distinct('deviceId', { isActive: true });
+    let applied = 0;
+    
+    // Devices are independent - don't let one slow ack hold up the others
+    await Promise.all(deviceIds.map(async (deviceId) => {
+      try {
+        if (await this.catchUpDevice(deviceId, now, reason)) {
+          applied++;
+        }
+      } catch (error) {
+        logger.error(`Error catching up schedules for ${deviceId}:`, error);
+      }
+    }));
+    
+    logger.info(`Schedule catch-up (${reason}): ${applied} of ${deviceIds.length} devices updated`);
+  }
+  
+  /**
+   * Apply the schedule that should control a device now (if its start has not run)
+   * 
+   * Devices with an active pre-clean are left alone - the pre-clean restores
+   * the schedule when it completes.
+   * 
+   * @param {boolean} force - Apply even if this occurrence's start already ran
+   * @returns {Promise<boolean>} True if a command was sent
+   */
+  async catchUpDevice(deviceId, now, reason, force = false) {
+    const activeSchedules = await this.getActiveSchedulesAtTime(deviceId, now);
+    if (activeSchedules.length === 0) {
+      return false;
+    }
+    
+    const winner = this.pickWinner(activeSchedules, await this.loadPolicy(deviceId), now);
+    const fanSpeed = recurrence.speedAt(winner, now);
+    
+    // The start (or current ramp step) of this occurrence already ran (don't undo manual changes made since)
+    const { start } = recurrence.windowOn(winner, recurrence.activeOccurrence(winner, now));
+    const step = recurrence.stepAt(winner, now);
+    if (!force && winner.lastExecuted && winner.lastExecuted >= step.start) {
+      return false;
+    }
+    
+    const PreClean = require('../models/PreClean');
+    if (await PreClean.exists({ deviceId, status: 'active' })) {
+      console.log(`[SCHEDULE] Catch-up for ${deviceId} skipped - pre-clean active`);
+      return false;
+    }
+    
+    console.log(`[SCHEDULE] Catch-up (${reason}): schedule ${winner._id} should control ${deviceId} - setting speed ${fanSpeed}`);
+    
+    const execution = await this.sendAndRecord(winner, {
+      phase: 'start',
+      at: start,
+      action: 'setFanSpeed',
+      value: fanSpeed,
+      catchUp: true,
+      message: `Catch-up (${reason}): fan speed set to ${fanSpeed}`
+    });
+    
+    if (execution.status === 'failed') {
+      await this.scheduleRetry(winner, start, execution);
+      return false;
+    }
+    
+    if (execution.status === 'blocked') {
+      return false;
+    }
+    
+    realtimeService.emitToDevice(deviceId, 'schedule:started', {
+      scheduleId: winner._id,
+      fanSpeed,
+      catchUp: true
+    });
+    
+    return true;
   }
   
   /**
@@ -25,14 +236,30 @@ class SchedulerService {
     try {
       logger.info('Initializing scheduler service...');
       
-      // Load all active schedules from database
-      const schedules = await Schedule.find({ isActive: true });
+      // One-off: history that schedules still embed moves to ScheduleExecution
+      try {
+        const migrated = await ScheduleExecution.migrateEmbeddedHistory();
+        if (migrated > 0) {
+          logger.info(`Moved ${migrated} embedded execution history entries to ScheduleExecution`);
+        }
+      } catch (error) {
+        logger.error('Error migrating embedded execution history:', error);
+      }
+      
+      // Load all active schedules from database (sun-relative ones need the device location)
+      const schedules = await this.withLocation(await Schedule.find({ isActive: true }));
       
       logger.info(`Found ${schedules.length} active schedules`);
       
-      // Create cron jobs for each schedule
+      // Arm timers for each schedule
       for (const schedule of schedules) {
-        this.createCronJob(schedule);
+        this.armTimers(schedule);
+      }
+      
+      // Paused schedules with a resume time
+      const paused = await Schedule.find({ isActive: false, pausedUntil: { $ne: null } });
+      for (const schedule of paused) {
+        this.armResume(schedule);
       }
       
       logger.info('Scheduler service initialized successfully');
@@ -43,198 +270,509 @@ class SchedulerService {
   }
   
   /**
-   * Create a cron job for a schedule with enhanced recurrence patterns
+   * Arm the start/end (and ramp step) timers of a schedule
+   * 
+   * Each timer fires at the exact instant of the next occurrence's start,
+   * step or end (computed by the recurrence engine in the schedule's timezone, so DST
+   * changes neither skip nor repeat a run) and re-arms itself for the
+   * following one. A start that was missed (e.g. during a restart) is applied
+   * by catch-up while the window is open. Sun-relative boundaries are computed
+   * per occurrence, so each re-arm picks up that day's sunrise/sunset.
    */
-  createCronJob(schedule) {
-    try {
-      const { _id, deviceId, recurrenceType, day, days, interval, customCron, startTime, endTime, fanSpeed } = schedule;
-      
-      logger.info(`Creating cron job for schedule ${_id}`);
-      logger.info(`  Device: ${deviceId}`);
-      logger.info(`  Recurrence: ${recurrenceType}`);
-      logger.info(`  Interval: ${interval}`);
-      
-      let startCronExpressions = [];
-      let endCronExpressions = [];
-      
-      // Parse start and end times
-      const [startHour, startMinute] = startTime.split(':');
-      const [endHour, endMinute] = endTime.split(':');
-      
-      // Generate cron expressions based on recurrence type
-      switch (recurrenceType) {
-        case 'daily':
-          if (interval === 1) {
-            // Every day
-            startCronExpressions.push(`${startMinute} ${startHour} * * *`);
-            endCronExpressions.push(`${endMinute} ${endHour} * * *`);
-          } else {
-            // Every N days - use custom logic with date checking
-            startCronExpressions.push(`${startMinute} ${startHour} */${interval} * *`);
-            endCronExpressions.push(`${endMinute} ${endHour} */${interval} * *`);
-          }
-          break;
-          
-        case 'weekly':
-          const dayMap = {
-            'Sunday': 0, 'Monday': 1, 'Tuesday': 2, 'Wednesday': 3,
-            'Thursday': 4, 'Friday': 5, 'Saturday': 6
-          };
-          
-          if (day) {
-            // Single day weekly
-            const cronDay = dayMap[day];
-            if (interval === 1) {
-              startCronExpressions.push(`${startMinute} ${startHour} * * ${cronDay}`);
-              endCronExpressions.push(`${endMinute} ${endHour} * * ${cronDay}`);
-            } else {
-              // Every N weeks - need custom handling
-              startCronExpressions.push(`${startMinute} ${startHour} * * ${cronDay}`);
-              endCronExpressions.push(`${endMinute} ${endHour} * * ${cronDay}`);
-            }
-          } else if (days && days.length > 0) {
-            // Multiple days weekly
-            const cronDays = days.map(d => dayMap[d]).join(',');
-            startCronExpressions.push(`${startMinute} ${startHour} * * ${cronDays}`);
-            endCronExpressions.push(`${endMinute} ${endHour} * * ${cronDays}`);
-          }
-          break;
-          
-        case 'monthly':
-          // First occurrence of the day in each month
-          if (day) {
-            const cronDay = dayMap[day];
-            startCronExpressions.push(`${startMinute} ${startHour} 1-7 * ${cronDay}`);
-            endCronExpressions.push(`${endMinute} ${endHour} 1-7 * ${cronDay}`);
-          }
-          break;
-          
-        case 'custom':
-          if (customCron) {
-            // Use provided cron expression
-            const baseCron = customCron.split(' ');
-            if (baseCron.length >= 5) {
-              baseCron[0] = startMinute; // Override minute
-              baseCron[1] = startHour;   // Override hour
-              startCronExpressions.push(baseCron.join(' '));
-              
-              baseCron[0] = endMinute;
-              baseCron[1] = endHour;
-              endCronExpressions.push(baseCron.join(' '));
-            }
-          }
-          break;
+  armTimers(schedule) {
+    const { _id, deviceId, recurrenceType } = schedule;
+    const now = clock.date();
+    
+    if (!this.nextBoundary(schedule, 'start', now) && !this.nextBoundary(schedule, 'end', now)) {
+      logger.info(`Schedule ${_id} has no occurrences left - deactivating`);
+      this.finishSchedule(_id).catch(error => logger.error(`Error deactivating schedule ${_id}:`, error));
+      return;
+    }
+    
+    logger.info(`Arming timers for schedule ${_id}`);
+    logger.info(`  Device: ${deviceId}`);
+    logger.info(`  Recurrence: ${recurrence.describeRecurrence(schedule)} (${recurrenceType})`);
+    logger.info(`  Timezone: ${recurrence.timeZoneOf(schedule)}`);
+    
+    this.armNext(schedule, 'start', now);
+    this.armNext(schedule, 'end', now);
+    this.armNext(schedule, 'step', now);
+  }
+  
+  /**
+   * Instant of the next start, ramp step or end of a schedule after a given instant
+   * 
+   * @param {string} phase - 'start', 'step' (a step after the first) or 'end'
+   * @returns {Date|null} null if the schedule has no such boundary left
+   */
+  nextBoundary(schedule, phase, after) {
+    if (phase === 'step' && (!schedule.steps || schedule.steps.length < 2)) {
+      return null;
+    }
+    
+    for (const occurrence of recurrence.occurrencesFrom(schedule, after)) {
+      const boundaries = phase === 'start' ? [occurrence.start]
+        : phase === 'end' ? [occurrence.end]
+        : recurrence.stepsIn(schedule, occurrence).slice(1).map(step => step.start);
+      
+      const boundary = boundaries.find(b => b > after);
+      if (boundary) {
+        return boundary;
       }
+    }
+    return null;
+  }
+  
+  /**
+   * Arm the timer for a schedule's next start, ramp step or end after an instant
+   */
+  armNext(schedule, phase, after) {
+    const { _id, deviceId } = schedule;
+    const key = `${_id}_${phase}`;
+    const next = this.nextBoundary(schedule, phase, after);
+    
+    if (!next) {
+      return;
+    }
+    
+    const job = clock.runAt(next, async () => {
+      this.activeJobs.delete(key);
       
-      logger.info(`  Start cron: ${startCronExpressions}`);
-      logger.info(`  End cron: ${endCronExpressions}`);
+      // Arm the following boundary first, so a slow execution never delays it
+      this.armNext(schedule, phase, next);
       
-      // Create start jobs
-      startCronExpressions.forEach((cronExpr, index) => {
-        const startJob = cron.schedule(cronExpr, async () => {
-          await this.executeScheduleStart(_id, deviceId, fanSpeed, recurrenceType, interval);
-        }, {
-          scheduled: true,
-          timezone: process.env.TIMEZONE || 'UTC'
-        });
-        
-        this.activeJobs.set(`${_id}_start_${index}`, startJob);
-      });
+      if (phase === 'start') {
+        await this.executeScheduleStart(_id, deviceId, next);
+        return;
+      }
       
-      // Create end jobs
-      endCronExpressions.forEach((cronExpr, index) => {
-        const endJob = cron.schedule(cronExpr, async () => {
-          await this.executeScheduleEnd(_id, deviceId, recurrenceType, interval);
-        }, {
-          scheduled: true,
-          timezone: process.env.TIMEZONE || 'UTC'
-        });
-        
-        this.activeJobs.set(`${_id}_end_${index}`, endJob);
-      });
+      if (phase === 'step') {
+        await this.executeScheduleStep(_id, deviceId, next);
+        return;
+      }
       
-      logger.info(`Cron jobs created for schedule ${_id}`);
+      await this.executeScheduleEnd(_id, deviceId, next);
       
-    } catch (error) {
-      logger.error(`Error creating cron job for schedule ${schedule._id}:`, error);
-      throw error;
+      // Last occurrence ended (one-time schedule, or validUntil reached)
+      if (!this.nextBoundary(schedule, 'start', next)) {
+        await this.finishSchedule(_id);
+      }
+    });
+    
+    this.activeJobs.set(key, job);
+    logger.info(`  Next ${phase}: ${recurrence.formatDateTime(next, recurrence.timeZoneOf(schedule))}`);
+  }
+  
+  /**
+   * Deactivate a schedule that has no occurrences left
+   */
+  async finishSchedule(scheduleId) {
+    this.stopJobs(scheduleId);
+    await Schedule.findByIdAndUpdate(scheduleId, { isActive: false });
+    logger.info(`Schedule ${scheduleId} completed and deactivated`);
+  }
+  
+  /**
+   * Holidays of the calendars a device follows (directly or via its organization)
+   * 
+   * @returns {Promise<Map>} "YYYY-MM-DD" -> holiday description
+   */
+  async loadHolidays(deviceId) {
+    const device = await Device.findOne({ deviceId }).select('owner');
+    return HolidayCalendar.holidayMapForDevice(deviceId, device?.owner?.organizationId);
+  }
+  
+  /**
+   * Conflict policy of a device (Device.schedulePolicy)
+   */
+  async loadPolicy(deviceId) {
+    const device = await Device.findOne({ deviceId }).select('schedulePolicy');
+    return device?.schedulePolicy || 'highest_speed';
+  }
+  
+  /**
+   * Timezone a device's schedules default to (Device.timezone, then TIMEZONE)
+   */
+  async loadTimeZone(deviceId) {
+    const device = await Device.findOne({ deviceId }).select('timezone');
+    return device?.timezone || recurrence.defaultTimeZone();
+  }
+  
+  /**
+   * Coordinates sun-relative schedules of a device default to (Device.location)
+   * 
+   * @returns {Promise<Object|null>} { latitude, longitude }, or null if not set
+   */
+  async loadLocation(deviceId) {
+    const device = await Device.findOne({ deviceId }).select('location');
+    const { latitude, longitude } = device?.location || {};
+    return recurrence.isLocation({ latitude, longitude }) ? { latitude, longitude } : null;
+  }
+  
+  /**
+   * Give sun-relative schedules without a location of their own the current
+   * device location (as deviceLocation - not a schema path, so it is never
+   * saved and follows the device whenever schedules are loaded)
+   * 
+   * @param {Object|Array} schedules - Schedule document(s), updated in place
+   * @returns {Promise<Object|Array>} The same schedule(s)
+   */
+  async withLocation(schedules) {
+    const pending = [].concat(schedules)
+      .filter(schedule => recurrence.hasSolarAnchor(schedule) && !recurrence.isLocation(schedule.location));
+    const deviceIds = [...new Set(pending.map(schedule => schedule.deviceId))];
+    const locations = new Map(await Promise.all(deviceIds.map(async deviceId => [deviceId, await this.loadLocation(deviceId)])));
+    
+    for (const schedule of pending) {
+      schedule.deviceLocation = locations.get(schedule.deviceId);
     }
+    return schedules;
   }
   
   /**
-   * Execute schedule start with multiple schedule coordination
+   * Re-arm every schedule from the current time (after the clock moved back)
+   * 
+   * Timers only hold the next boundary after the time they were armed, so the
+   * ones armed before the clock moved back would skip the boundaries in between.
    */
-  async executeScheduleStart(scheduleId, deviceId, fanSpeed, recurrenceType, interval) {
-    if (interval > 1 && recurrenceType !== 'custom') {
-      const schedule = await Schedule.findById(scheduleId);
-      if (schedule && schedule.lastExecuted) {
-        const daysSinceLastExecution = Math.floor((new Date() - schedule.lastExecuted) / (1000 * 60 * 60 * 24));
-        
-        if (recurrenceType === 'daily' && daysSinceLastExecution < interval) {
-          return;
-        }
-        if (recurrenceType === 'weekly' && daysSinceLastExecution < (interval * 7)) {
-          return;
-        }
+  async rearmAll() {
+    this.stopAll();
+    
+    const schedules = await Schedule.find({ $or: [{ isActive: true }, { pausedUntil: { $ne: null } }] });
+    for (const schedule of schedules) {
+      await this.armSchedule(schedule);
+    }
+    
+    logger.info(`Re-armed ${schedules.length} schedule(s)`);
+  }
+  
+  /**
+   * Re-arm a device's active schedules (after its location or timezone changed)
+   */
+  async rearmDevice(deviceId) {
+    const schedules = await Schedule.find({ deviceId, isActive: true });
+    for (const schedule of schedules) {
+      await this.armSchedule(schedule);
+    }
+    
+    logger.info(`Re-armed ${schedules.length} schedule(s) of device ${deviceId}`);
+  }
+  
+  /**
+   * Load a schedule and check that this start/end belongs to one of its occurrences
+   * 
+   * Occurrences cancelled by an exception (date range, skip date, holiday) are
+   * recorded as 'skipped' in the execution history when their start is reached.
+   * 
+   * @param {string} phase - 'start' or 'end' (an overnight end belongs to yesterday's start)
+   * @returns {Promise<Object|null>} The schedule, or null if it should not run now
+   */
+  async loadOccurringSchedule(scheduleId, phase, when) {
+    const schedule = await Schedule.findById(scheduleId);
+    if (!schedule || !schedule.isActive) {
+      return null;
+    }
+    await this.withLocation(schedule);
+    
+    const date = recurrence.occurrenceDate(schedule, phase, when);
+    if (!recurrence.occursOn(schedule, date)) {
+      console.log(`[SCHEDULE] Schedule ${scheduleId} has no occurrence on ${recurrence.formatDate(date)} - skipping ${phase}`);
+      return null;
+    }
+
+    // A window inside a DST gap (02:15-03:00 on spring-forward day) is empty - its
+    // start never applied, so its end must not turn off what something else turned on
+    if (phase === 'end') {
+      const { start, end } = recurrence.windowOn(schedule, date);
+      if (end <= start) {
+        console.log(`[SCHEDULE] Schedule ${scheduleId} has an empty window on ${recurrence.formatDate(date)} - skipping end`);
+        return null;
+      }
+    }
+
+    const holidays = await this.loadHolidays(schedule.deviceId);
+    const exception = recurrence.exceptionOn(schedule, date, holidays);
+    if (exception) {
+      console.log(`[SCHEDULE] Schedule ${scheduleId} skipped on ${recurrence.formatDate(date)} (${phase}): ${exception.message}`);
+      
+      // The skipped end of an occurrence is not recorded again
+      if (phase === 'start') {
+        await this.recordSkip(schedule, date, exception);
+      }
+      return null;
+    }
+    
+    return schedule;
+  }
+  
+  /**
+   * Record a skipped occurrence (and retire the schedule once it has expired)
+   */
+  async recordSkip(schedule, date, exception) {
+    await ScheduleExecution.create({
+      scheduleId: schedule._id,
+      deviceId: schedule.deviceId,
+      phase: 'start',
+      occurrenceDate: recurrence.formatDate(date),
+      status: 'skipped',
+      reason: exception.reason,
+      message: `${recurrence.formatDate(date)}: ${exception.message}`
+    });
+    
+    if (exception.reason === 'expired') {
+      // No occurrences left - stop firing every day
+      this.stopJobs(schedule._id);
+      await Schedule.findByIdAndUpdate(schedule._id, { isActive: false });
+      logger.info(`Schedule ${schedule._id} expired (validUntil ${schedule.validUntil}) - deactivated`);
+    }
+    
+    realtimeService.emitToDevice(schedule.deviceId, 'schedule:skipped', {
+      scheduleId: schedule._id,
+      date: recurrence.formatDate(date),
+      reason: exception.reason,
+      message: exception.message
+    });
+  }
+  
+  /**
+   * Send a schedule command and record the outcome as a ScheduleExecution
+   * 
+   * Command failures are recorded (status 'failed'), not thrown.
+   * 
+   * @param {Object} details - { phase, at (start/step/end instant of the occurrence), action, value, attempt, catchUp, message }
+   * @returns {Promise<Object>} The ScheduleExecution document
+   */
+  async sendAndRecord(schedule, { phase, at, action, value, attempt = 1, catchUp = false, message }) {
+    const execution = {
+      scheduleId: schedule._id,
+      deviceId: schedule.deviceId,
+      phase,
+      occurrenceDate: recurrence.formatDate(recurrence.occurrenceDate(schedule, phase, at)),
+      action,
+      value,
+      attempt,
+      catchUp
+    };
+    
+    try {
+      const result = await mqttService.sendCommand(schedule.deviceId, action, value, 'schedule');
+      
+      if (result && result.blocked) {
+        Object.assign(execution, { status: 'blocked', reason: 'preclean', message: result.reason });
+      } else {
+        Object.assign(execution, {
+          status: result && result.queued ? 'queued' : result && result.superseded ? 'superseded' : 'success',
+          commandId: result && result.commandId,
+          message
+        });
       }
+    } catch (error) {
+      logger.error(`Schedule ${schedule._id} ${phase} command failed (attempt ${attempt}):`, error);
+      Object.assign(execution, { status: 'failed', commandId: error.commandId, message: error.message });
+    }
+    
+    const recorded = await ScheduleExecution.create(execution);
+    
+    if (phase !== 'end' && EXECUTED_STATUSES.includes(recorded.status)) {
+      await Schedule.findByIdAndUpdate(schedule._id, { lastExecuted: recorded.executedAt });
     }
     
+    return recorded;
+  }
+  
+  /**
+   * Try a failed start again after retryDelay, if its window is still open then
+   * 
+   * @param {Date} at - Start instant of the occurrence
+   * @param {Object} execution - The failed ScheduleExecution
+   */
+  async scheduleRetry(schedule, at, execution) {
+    const { _id, deviceId } = schedule;
+    const { end } = recurrence.windowOn(schedule, recurrence.occurrenceDate(schedule, 'start', at));
+    const retryAt = new Date(clock.now() + this.retryDelay);
+    const canRetry = execution.attempt <= this.maxStartRetries && retryAt < end;
+    
+    realtimeService.emitToDevice(deviceId, 'schedule:failed', {
+      scheduleId: _id,
+      attempt: execution.attempt,
+      error: execution.message,
+      nextRetryAt: canRetry ? retryAt : null
+    });
+    
+    if (!canRetry) {
+      logger.warn(`Schedule ${_id} start failed after ${execution.attempt} attempt(s) - no retry left in this window`);
+      return;
+    }
+    
+    await ScheduleExecution.findByIdAndUpdate(execution._id, { nextRetryAt: retryAt });
+    
+    const key = `${_id}_retry`;
+    const retryJob = clock.runAt(retryAt, async () => {
+      this.activeJobs.delete(key);
+      await this.executeScheduleStart(_id, deviceId, at, execution.attempt + 1);
+    });
+    
+    this.activeJobs.set(key, retryJob);
+    logger.info(`Schedule ${_id} start will be retried at ${recurrence.formatDateTime(retryAt, recurrence.timeZoneOf(schedule))} (attempt ${execution.attempt + 1})`);
+  }
+  
+  /**
+   * Execute schedule start with multiple schedule coordination
+   * 
+   * @param {Date} at - Start instant the timer was armed for
+   * @param {number} attempt - 1, or the retry number + 1 for a failed start
+   */
+  async executeScheduleStart(scheduleId, deviceId, at = clock.date(), attempt = 1) {
     try {
+      const schedule = await this.loadOccurringSchedule(scheduleId, 'start', at);
+      if (!schedule) {
+        return;
+      }
+      
       // Check for overlapping schedules
-      const currentTime = new Date();
+      const currentTime = clock.date();
       const activeSchedules = await this.getActiveSchedulesAtTime(deviceId, currentTime);
       
-      console.log(`[SCHEDULE] ${activeSchedules.length} schedules active at ${currentTime.toTimeString().slice(0,8)}`);
+      console.log(`[SCHEDULE] ${activeSchedules.length} schedules active at ${recurrence.formatDateTime(currentTime, recurrence.timeZoneOf(schedule))}`);
+      
+      // This occurrence's window is already over (e.g. a retry that came too late)
+      const current = recurrence.activeOccurrence(schedule, currentTime);
+      if (!current || recurrence.formatDate(current) !== recurrence.formatDate(recurrence.occurrenceDate(schedule, 'start', at))) {
+        console.log(`[SCHEDULE] Schedule ${scheduleId} is no longer in its window - not starting`);
+        return;
+      }
+      
+      // Speed of the current ramp step (a late start may already be past the first one)
+      const fanSpeed = recurrence.speedAt(schedule, currentTime);
       
       if (activeSchedules.length > 1) {
-        // Multiple schedules - use priority logic (highest fan speed wins)
-        const highestSpeedSchedule = activeSchedules.reduce((max, current) => 
-          current.fanSpeed > max.fanSpeed ? current : max
-        );
+        // Multiple schedules - resolve with the device's conflict policy
+        const policy = await this.loadPolicy(deviceId);
+        const winner = this.pickWinner(activeSchedules, policy, currentTime);
+        const winnerSpeed = recurrence.speedAt(winner, currentTime);
         
-        if (scheduleId.toString() !== highestSpeedSchedule._id.toString()) {
-          console.log(`[SCHEDULE] Schedule ${scheduleId} blocked by higher priority schedule (speed ${highestSpeedSchedule.fanSpeed})`);
+        if (scheduleId.toString() !== winner._id.toString()) {
+          console.log(`[SCHEDULE] Schedule ${scheduleId} blocked by schedule ${winner._id} (${policy}, speed ${winnerSpeed}, priority ${winner.priority || 0})`);
           
           // Log execution but don't send command
-          await Schedule.findByIdAndUpdate(scheduleId, {
-            lastExecuted: new Date(),
-            $push: {
-              executionHistory: {
-                executedAt: new Date(),
-                status: 'blocked',
-                message: `Blocked by higher priority schedule (speed ${highestSpeedSchedule.fanSpeed})`,
-                retryCount: 0
-              }
-            }
+          await ScheduleExecution.create({
+            scheduleId,
+            deviceId,
+            phase: 'start',
+            occurrenceDate: recurrence.formatDate(recurrence.occurrenceDate(schedule, 'start', at)),
+            status: 'blocked',
+            reason: 'overlap',
+            message: `Blocked by schedule ${winner._id} (${policy}, speed ${winnerSpeed}, priority ${winner.priority || 0})`,
+            attempt
+          });
+          await Schedule.findByIdAndUpdate(scheduleId, { lastExecuted: clock.date() });
+          
+          realtimeService.emitToDevice(deviceId, 'schedule:blocked', {
+            scheduleId,
+            blockedBy: winner._id,
+            policy
           });
           return;
         }
       }
       
       // Send command (either single schedule or highest priority)
-      const result = await mqttService.sendCommand(deviceId, 'setFanSpeed', fanSpeed, 'schedule');
-      if (result && result.blocked) return;
-      
-      await Schedule.findByIdAndUpdate(scheduleId, {
-        lastExecuted: new Date(),
-        $push: {
-          executionHistory: {
-            executedAt: new Date(),
-            status: 'success',
-            message: `Fan speed set to ${fanSpeed}`,
-            retryCount: 0
-          }
-        }
+      const execution = await this.sendAndRecord(schedule, {
+        phase: 'start',
+        at,
+        action: 'setFanSpeed',
+        value: fanSpeed,
+        attempt,
+        message: `Fan speed set to ${fanSpeed}`
       });
+      
+      // Only announced once the device took (or will take) the command
+      if (execution.status === 'success' || execution.status === 'queued') {
+        realtimeService.emitToDevice(deviceId, 'schedule:started', { scheduleId, fanSpeed });
+      }
+      
+      if (execution.status === 'failed') {
+        await this.scheduleRetry(schedule, at, execution);
+      }
     } catch (error) {
       logger.error(`Error executing schedule ${scheduleId}:`, error);
     }
   }
   
-  async executeScheduleEnd(scheduleId, deviceId) {
+  /**
+   * Apply a ramp step of a running schedule
+   * 
+   * The step can change which schedule wins an overlap: the device follows the
+   * new step if this schedule (still) controls it, or is handed to the schedule
+   * that wins now if this one stepped down below it.
+   * 
+   * @param {Date} at - Step instant the timer was armed for
+   */
+  async executeScheduleStep(scheduleId, deviceId, at = clock.date()) {
+    try {
+      const schedule = await Schedule.findById(scheduleId);
+      if (!schedule || !schedule.isActive) {
+        return;
+      }
+      await this.withLocation(schedule);
+      
+      // Skipped occurrences were already recorded at their start
+      const date = recurrence.activeOccurrence(schedule, at);
+      if (!date || recurrence.exceptionOn(schedule, date, await this.loadHolidays(deviceId))) {
+        return;
+      }
+      
+      const currentTime = clock.date();
+      const activeSchedules = await this.getActiveSchedulesAtTime(deviceId, currentTime);
+      if (!activeSchedules.some(s => s._id.toString() === scheduleId.toString())) {
+        return;
+      }
+      
+      const policy = await this.loadPolicy(deviceId);
+      const winner = this.pickWinner(activeSchedules, policy, currentTime);
+      const previousWinner = this.pickWinner(activeSchedules, policy, new Date(at.getTime() - 1));
+      const fanSpeed = recurrence.speedAt(winner, currentTime);
+      
+      if (winner._id.toString() === scheduleId.toString()) {
+        console.log(`[SCHEDULE] Schedule ${scheduleId} ramp step - setting speed ${fanSpeed}`);
+        realtimeService.emitToDevice(deviceId, 'schedule:step', { scheduleId, fanSpeed });
+        
+        await this.sendAndRecord(schedule, {
+          phase: 'step',
+          at,
+          action: 'setFanSpeed',
+          value: fanSpeed,
+          message: `Ramp step: fan speed set to ${fanSpeed}`
+        });
+      } else if (previousWinner._id.toString() === scheduleId.toString()) {
+        console.log(`[SCHEDULE] Schedule ${scheduleId} ramp step - schedule ${winner._id} wins now (speed ${fanSpeed})`);
+        realtimeService.emitToDevice(deviceId, 'schedule:step', { scheduleId, fanSpeed, controlledBy: winner._id });
+        
+        await this.sendAndRecord(schedule, {
+          phase: 'step',
+          at,
+          action: 'setFanSpeed',
+          value: fanSpeed,
+          message: `Ramp step: handed over to schedule ${winner._id} (${policy}, speed ${fanSpeed})`
+        });
+      } else {
+        console.log(`[SCHEDULE] Schedule ${scheduleId} ramp step - still blocked by schedule ${winner._id}`);
+      }
+    } catch (error) {
+      logger.error(`Error executing ramp step of schedule ${scheduleId}:`, error);
+    }
+  }
+  
+  async executeScheduleEnd(scheduleId, deviceId, at = clock.date()) {
     try {
+      // Same occurrence check as the start - a skipped start must not be followed by a turnOff
+      const schedule = await this.loadOccurringSchedule(scheduleId, 'end', at);
+      if (!schedule) {
+        return;
+      }
+      
       // Check if other schedules are still active
-      const currentTime = new Date();
+      const currentTime = clock.date();
       const activeSchedules = await this.getActiveSchedulesAtTime(deviceId, currentTime);
       
       // Remove the ending schedule from active list
@@ -242,6 +780,11 @@ class SchedulerService {
       
       console.log(`[SCHEDULE] Schedule ${scheduleId} ending. ${remainingSchedules.length} schedules still active`);
       
+      realtimeService.emitToDevice(deviceId, 'schedule:ended', {
+        scheduleId,
+        remainingSchedules: remainingSchedules.length
+      });
+      
       // Check if pre-clean is active
       const PreClean = require('../models/PreClean');
       const activePreCleans = await PreClean.find({ 
@@ -262,7 +805,13 @@ class SchedulerService {
         }
         
         // Turn off device immediately
-        await mqttService.sendCommand(deviceId, 'turnOff', 0, 'schedule');
+        await this.sendAndRecord(schedule, {
+          phase: 'end',
+          at,
+          action: 'turnOff',
+          value: 0,
+          message: 'Pre-clean cancelled, device turned off'
+        });
         
         console.log(`[SCHEDULE] Device turned off immediately due to schedule end`);
         return;
@@ -286,17 +835,28 @@ class SchedulerService {
       }
       
       if (remainingSchedules.length > 0) {
-        // Other schedules still active - switch to highest priority one
-        const highestSpeedSchedule = remainingSchedules.reduce((max, current) => 
-          current.fanSpeed > max.fanSpeed ? current : max
-        );
+        // Other schedules still active - switch to the one the policy picks
+        const winner = this.pickWinner(remainingSchedules, await this.loadPolicy(deviceId), currentTime);
+        const winnerSpeed = recurrence.speedAt(winner, currentTime);
         
-        console.log(`[SCHEDULE] Switching to schedule ${highestSpeedSchedule._id} (speed ${highestSpeedSchedule.fanSpeed})`);
-        await mqttService.sendCommand(deviceId, 'setFanSpeed', highestSpeedSchedule.fanSpeed, 'schedule');
+        console.log(`[SCHEDULE] Switching to schedule ${winner._id} (speed ${winnerSpeed})`);
+        await this.sendAndRecord(schedule, {
+          phase: 'end',
+          at,
+          action: 'setFanSpeed',
+          value: winnerSpeed,
+          message: `Switched to schedule ${winner._id} (speed ${winnerSpeed})`
+        });
       } else {
         // No more active schedules - turn off device
         console.log(`[SCHEDULE] No more active schedules - turning off device`);
-        await mqttService.sendCommand(deviceId, 'turnOff', 0, 'schedule');
+        await this.sendAndRecord(schedule, {
+          phase: 'end',
+          at,
+          action: 'turnOff',
+          value: 0,
+          message: 'Device turned off'
+        });
       }
     } catch (error) {
       logger.error(`Error executing end schedule ${scheduleId}:`, error);
@@ -307,29 +867,214 @@ class SchedulerService {
    * Get active schedules at a specific time
    */
   async getActiveSchedulesAtTime(deviceId, currentTime) {
-    const currentDay = currentTime.toLocaleDateString('en-US', { weekday: 'long' });
-    const currentTimeStr = currentTime.toTimeString().slice(0, 5); // HH:MM format
-    
-    // Find all schedules for this device and day
-    const schedules = await Schedule.find({ 
-      deviceId, 
-      isActive: true,
-      $or: [
-        { day: currentDay },
-        { days: currentDay }
-      ]
-    });
+    const schedules = await this.withLocation(await Schedule.find({ deviceId, isActive: true }));
+    const holidays = await this.loadHolidays(deviceId);
     
-    // Filter schedules that are currently active (within time window)
-    const activeSchedules = schedules.filter(schedule => {
-      return currentTimeStr >= schedule.startTime && currentTimeStr < schedule.endTime;
+    // Keep schedules whose current occurrence covers currentTime and is not skipped
+    return schedules.filter(schedule => {
+      const date = recurrence.activeOccurrence(schedule, currentTime);
+      return date !== null && !recurrence.exceptionOn(schedule, date, holidays);
     });
+  }
+  
+  /**
+   * Pick the schedule that controls the device when several overlap
+   * 
+   * @param {Array} schedules - Overlapping schedules
+   * @param {string} policy - Device.schedulePolicy (default: highest_speed)
+   * @param {Date} at - Schedules with ramp steps compete with the step active at this instant
+   */
+  pickWinner(schedules, policy = 'highest_speed', at = clock.date()) {
+    const compare = POLICY_COMPARATORS[policy] || POLICY_COMPARATORS.highest_speed;
+    const candidates = schedules.map(schedule => ({
+      schedule,
+      fanSpeed: recurrence.speedAt(schedule, at),
+      priority: schedule.priority,
+      createdAt: schedule.createdAt
+    }));
+    
+    return candidates.reduce((best, current) => 
+      compare(current, best) > 0 ? current : best
+    ).schedule;
+  }
+  
+  /**
+   * Find active schedules of the same device whose occurrences overlap a schedule's
+   * within the next CONFLICT_HORIZON_DAYS (skipped occurrences don't count)
+   * 
+   * @param {Object} schedule - Schedule document (may be unsaved)
+   * @returns {Promise<Array>} [{ scheduleId, recurrenceDescription, fanSpeed, priority, firstOverlap, overlaps }]
+   */
+  async findConflicts(schedule, from = clock.date()) {
+    const until = new Date(from.getTime() + CONFLICT_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    const holidays = await this.loadHolidays(schedule.deviceId);
+    await this.withLocation(schedule);
+    
+    const windowsOf = (s) => {
+      const windows = [];
+      for (const occurrence of recurrence.occurrencesFrom(s, from, { holidays })) {
+        if (occurrence.start >= until) {
+          break;
+        }
+        if (!occurrence.exception) {
+          windows.push(occurrence);
+        }
+      }
+      return windows;
+    };
+    
+    const mine = windowsOf(schedule);
+    if (mine.length === 0) {
+      return [];
+    }
+    
+    const others = await this.withLocation(await Schedule.find({ deviceId: schedule.deviceId, isActive: true, _id: { $ne: schedule._id } }));
+    const conflicts = [];
+    
+    for (const other of others) {
+      const theirs = windowsOf(other);
+      let firstOverlap = null;
+      let overlaps = 0;
+      
+      // Both lists are in start order - walk them side by side
+      for (let i = 0, j = 0; i < mine.length && j < theirs.length;) {
+        const a = mine[i];
+        const b = theirs[j];
+        
+        if (a.start < b.end && b.start < a.end) {
+          overlaps++;
+          firstOverlap = firstOverlap || {
+            start: a.start > b.start ? a.start : b.start,
+            end: a.end < b.end ? a.end : b.end
+          };
+        }
+        
+        if (a.end <= b.end) i++; else j++;
+      }
+      
+      if (overlaps > 0) {
+        conflicts.push({
+          scheduleId: other._id,
+          recurrenceDescription: recurrence.describeRecurrence(other),
+          fanSpeed: other.fanSpeed,
+          priority: other.priority || 0,
+          firstOverlap,
+          overlaps
+        });
+      }
+    }
     
-    return activeSchedules;
+    return conflicts;
   }
   
   /**
-   * Add a new schedule and create its cron job
+   * Preview the next occurrences of a schedule
+   * 
+   * @param {Object} schedule - Schedule document
+   * @param {number} count - Number of occurrences to return
+   * @param {Date} from - Only occurrences still running or starting after this instant
+   * @returns {Promise<Array>} [{ date, start, end, steps, skipped, reason, message }] (steps only with a ramp profile)
+   */
+  async getOccurrences(schedule, count, from = clock.date()) {
+    const holidays = await this.loadHolidays(schedule.deviceId);
+    const hasSteps = schedule.steps && schedule.steps.length > 0;
+    await this.withLocation(schedule);
+    const occurrences = [];
+    
+    for (const occurrence of recurrence.occurrencesFrom(schedule, from, { holidays })) {
+      occurrences.push({
+        date: occurrence.date,
+        start: occurrence.start,
+        end: occurrence.end,
+        ...(hasSteps ? { steps: recurrence.stepsIn(schedule, occurrence) } : {}),
+        skipped: Boolean(occurrence.exception),
+        ...(occurrence.exception || {})
+      });
+      
+      if (occurrences.length >= count) {
+        break;
+      }
+    }
+    
+    return occurrences;
+  }
+  
+  /**
+   * Compute the fan speed intervals a device's schedules produce between two instants
+   * 
+   * Overlaps are resolved like at runtime (device policy). Skipped occurrences and
+   * gaps (device off) are left out; pre-cleans and manual commands are not included.
+   * 
+   * @returns {Promise<Array>} [{ start, end, fanSpeed, scheduleId, overlapping }]
+   */
+  async getTimeline(deviceId, from, to) {
+    const schedules = await this.withLocation(await Schedule.find({ deviceId, isActive: true }));
+    const holidays = await this.loadHolidays(deviceId);
+    const policy = await this.loadPolicy(deviceId);
+    
+    // Occurrence windows clipped to [from, to)
+    const windows = [];
+    for (const schedule of schedules) {
+      for (const occurrence of recurrence.occurrencesFrom(schedule, from, { holidays })) {
+        if (occurrence.start >= to) {
+          break;
+        }
+        if (!occurrence.exception) {
+          windows.push({
+            schedule,
+            start: occurrence.start > from ? occurrence.start : from,
+            end: occurrence.end < to ? occurrence.end : to,
+            steps: recurrence.stepsIn(schedule, occurrence).slice(1).map(step => step.start.getTime())
+          });
+        }
+      }
+    }
+    
+    // Sweep over every window and ramp step boundary and pick the winner of each segment
+    const boundaries = [...new Set(windows.flatMap(w => [
+      w.start.getTime(),
+      w.end.getTime(),
+      ...w.steps.filter(t => t > w.start.getTime() && t < w.end.getTime())
+    ]))].sort((a, b) => a - b);
+    const intervals = [];
+    
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const segmentStart = boundaries[i];
+      const segmentEnd = boundaries[i + 1];
+      const active = windows
+        .filter(w => w.start.getTime() <= segmentStart && w.end.getTime() >= segmentEnd)
+        .map(w => w.schedule);
+      
+      if (active.length === 0) {
+        continue;
+      }
+      
+      const winner = this.pickWinner(active, policy, new Date(segmentStart));
+      const fanSpeed = recurrence.speedAt(winner, new Date(segmentStart));
+      const overlapping = active.map(s => s._id.toString());
+      const previous = intervals[intervals.length - 1];
+      
+      // Merge with the previous segment while the same schedule stays in control at the same speed
+      if (previous && previous.end.getTime() === segmentStart && previous.scheduleId === winner._id.toString() && previous.fanSpeed === fanSpeed) {
+        previous.end = new Date(segmentEnd);
+        previous.overlapping = [...new Set([...previous.overlapping, ...overlapping])];
+        continue;
+      }
+      
+      intervals.push({
+        start: new Date(segmentStart),
+        end: new Date(segmentEnd),
+        fanSpeed,
+        scheduleId: winner._id.toString(),
+        overlapping
+      });
+    }
+    
+    return intervals;
+  }
+  
+  /**
+   * Add a new schedule and arm its timers
    * 
    * @param {Object} scheduleData - Schedule data
    * @returns {Promise<Object>} Created schedule
@@ -342,8 +1087,8 @@ class SchedulerService {
       
       logger.info(`Schedule created: ${schedule._id}`);
       
-      // Create cron job for this schedule
-      this.createCronJob(schedule);
+      // Arm timers for this schedule
+      await this.armSchedule(schedule);
       
       return schedule;
     } catch (error) {
@@ -353,7 +1098,7 @@ class SchedulerService {
   }
   
   /**
-   * Remove a schedule and stop its cron job
+   * Remove a schedule and stop its timers
    * 
    * @param {string} scheduleId - Schedule ID
    */
@@ -364,60 +1109,24 @@ class SchedulerService {
       if (!schedule) {
         throw new Error('Schedule not found');
       }
+      await this.withLocation(schedule);
       
-      const { deviceId } = schedule;
+      // Stop and remove timers
+      this.stopJobs(scheduleId);
       
-      // Stop and remove cron jobs
-      const startJobKey = `${scheduleId}_start`;
-      const endJobKey = `${scheduleId}_end`;
-      
-      if (this.activeJobs.has(startJobKey)) {
-        this.activeJobs.get(startJobKey).stop();
-        this.activeJobs.delete(startJobKey);
-      }
+      // Delete schedule from database (its executions are kept as an audit trail)
+      await Schedule.findByIdAndDelete(scheduleId);
       
-      if (this.activeJobs.has(endJobKey)) {
-        this.activeJobs.get(endJobKey).stop();
-        this.activeJobs.delete(endJobKey);
+      if (!clusterService.isLeader()) {
+        clusterService.publish('schedule:changed', { scheduleId: scheduleId.toString() });
       }
       
-      // Check if this schedule was currently active and restore state
-      const deviceState = await DeviceState.findOne({ deviceId });
-      if (deviceState?.scheduleState?.activeScheduleCount > 0) {
-        // Check if this schedule is currently running (within its time window)
-        const now = new Date();
-        const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-        const currentTime = now.toTimeString().slice(0, 5);
-        
-        const isCurrentlyActive = (
-          schedule.day === currentDay &&
-          currentTime >= schedule.startTime &&
-          currentTime <= schedule.endTime
-        );
-        
-        if (isCurrentlyActive) {
-          deviceState.scheduleState.activeScheduleCount = Math.max(0, deviceState.scheduleState.activeScheduleCount - 1);
-          
-          // If this was the last active schedule, turn off device
-          if (deviceState.scheduleState.activeScheduleCount === 0) {
-            logger.info(`Last active schedule deleted - turning off device`);
-            await mqttService.sendCommand(deviceId, 'turnOff', 0, 'schedule');
-            
-            deviceState.scheduleState = {
-              originalFanSpeed: null,
-              originalPowerOn: null,
-              activeScheduleCount: 0
-            };
-          }
-          
-          await deviceState.save();
-        }
+      // A schedule deleted in the middle of its window hands the device over
+      if (schedule.isActive && recurrence.isActiveAt(schedule, clock.date())) {
+        this.releaseInBackground(schedule);
       }
       
-      // Delete schedule from database
-      await Schedule.findByIdAndDelete(scheduleId);
-      
-      logger.info(`Schedule ${scheduleId} removed and state restored`);
+      logger.info(`Schedule ${scheduleId} removed`);
     } catch (error) {
       logger.error('Error removing schedule:', error);
       throw error;
@@ -425,29 +1134,120 @@ class SchedulerService {
   }
   
   /**
-   * Update a schedule
+   * Pause a schedule (keeps the document and its history)
+   * 
+   * @param {string} scheduleId - Schedule ID
+   * @param {Date|null} until - Resume automatically at this time (null = until resumed)
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async pauseSchedule(scheduleId, until = null) {
+    const schedule = await Schedule.findById(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+    await this.withLocation(schedule);
+    
+    const wasRunning = schedule.isActive && recurrence.isActiveAt(schedule, clock.date());
+    
+    schedule.isActive = false;
+    schedule.pausedUntil = until;
+    await schedule.save();
+    
+    await this.armSchedule(schedule);
+    
+    // Paused in the middle of its window - hand the device over
+    if (wasRunning) {
+      this.releaseInBackground(schedule);
+    }
+    
+    logger.info(`Schedule ${scheduleId} paused${until ? ` until ${recurrence.formatDateTime(until, recurrence.timeZoneOf(schedule))}` : ''}`);
+    realtimeService.emitToDevice(schedule.deviceId, 'schedule:paused', { scheduleId, pausedUntil: until });
+    
+    return schedule;
+  }
+  
+  /**
+   * Resume a paused schedule (applied right away if its window is open)
+   * 
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async resumeSchedule(scheduleId) {
+    const schedule = await Schedule.findByIdAndUpdate(
+      scheduleId,
+      { isActive: true, pausedUntil: null },
+      { new: true }
+    );
+    
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+    
+    await this.armSchedule(schedule, { resumed: true });
+    
+    logger.info(`Schedule ${scheduleId} resumed`);
+    realtimeService.emitToDevice(schedule.deviceId, 'schedule:resumed', { scheduleId });
+    
+    return schedule;
+  }
+  
+  /**
+   * Hand a device over after a schedule stopped controlling it mid-window
+   * (paused or deleted): switch to the next schedule or turn the device off
+   */
+  async releaseDevice(deviceId, scheduleId) {
+    const PreClean = require('../models/PreClean');
+    if (await PreClean.exists({ deviceId, status: 'active' })) {
+      // The pre-clean restores the remaining schedules when it completes
+      return;
+    }
+    
+    const remaining = (await this.getActiveSchedulesAtTime(deviceId, clock.date()))
+      .filter(s => s._id.toString() !== scheduleId.toString());
+    
+    if (remaining.length > 0) {
+      const winner = this.pickWinner(remaining, await this.loadPolicy(deviceId));
+      const fanSpeed = recurrence.speedAt(winner);
+      console.log(`[SCHEDULE] Schedule ${scheduleId} stopped - switching to schedule ${winner._id} (speed ${fanSpeed})`);
+      await mqttService.sendCommand(deviceId, 'setFanSpeed', fanSpeed, 'schedule');
+    } else {
+      console.log(`[SCHEDULE] Schedule ${scheduleId} stopped - no more active schedules, turning off device`);
+      await mqttService.sendCommand(deviceId, 'turnOff', 0, 'schedule');
+    }
+  }
+  
+  /**
+   * releaseDevice without waiting for the device's ack
+   */
+  releaseInBackground(schedule) {
+    this.releaseDevice(schedule.deviceId, schedule._id).catch((error) => {
+      logger.error(`Error handing over device ${schedule.deviceId}:`, error);
+    });
+  }
+  
+  /**
+   * Update a schedule in place (keeps the document and its history)
    * 
    * @param {string} scheduleId - Schedule ID
    * @param {Object} updateData - Updated schedule data
    */
   async updateSchedule(scheduleId, updateData) {
     try {
-      // Remove old cron jobs
-      await this.removeSchedule(scheduleId);
-      
-      // Update schedule in database
-      const schedule = await Schedule.findByIdAndUpdate(
-        scheduleId,
-        updateData,
-        { new: true }
-      );
+      // Bookkeeping fields are never replaced by an update; active/paused state
+      // changes through pause/resume, and a schedule stays on its device
+      const { _id, lastExecuted, createdAt, updatedAt, isActive, pausedUntil, deviceId, ...changes } = updateData;
       
+      const schedule = await Schedule.findById(scheduleId);
       if (!schedule) {
         throw new Error('Schedule not found');
       }
       
-      // Create new cron jobs
-      this.createCronJob(schedule);
+      // Update schedule in database (validated as a whole document)
+      schedule.set(changes);
+      await schedule.save();
+      
+      // Re-arm timers with the new settings
+      await this.armSchedule(schedule);
       
       logger.info(`Schedule ${scheduleId} updated`);
       
@@ -462,11 +1262,15 @@ class SchedulerService {
    * Get all schedules for a device
    * 
    * @param {string} deviceId - Device ID
+   * @param {boolean} [active] - true: active only, false: paused/disabled only, undefined: all
    * @returns {Promise<Array>} List of schedules
    */
-  async getSchedules(deviceId) {
+  async getSchedules(deviceId, active) {
     try {
-      const schedules = await Schedule.find({ deviceId, isActive: true });
+      const query = { deviceId };
+      if (active !== undefined) query.isActive = active;
+      
+      const schedules = await Schedule.find(query);
       return schedules;
     } catch (error) {
       logger.error('Error getting schedules:', error);
@@ -475,18 +1279,18 @@ class SchedulerService {
   }
   
   /**
-   * Stop all cron jobs (for graceful shutdown)
+   * Stop all timers (for graceful shutdown)
    */
   stopAll() {
-    logger.info('Stopping all cron jobs...');
+    logger.info('Stopping all schedule timers...');
     
     for (const [key, job] of this.activeJobs) {
       job.stop();
-      logger.info(`Stopped cron job: ${key}`);
+      logger.info(`Stopped timer: ${key}`);
     }
     
     this.activeJobs.clear();
-    logger.info('All cron jobs stopped');
+    logger.info('All schedule timers stopped');
   }
 }
 
@@ -0,0 +1,242 @@
+/**
+ * Clock
+ *
+ * The time source for schedules and pre-cleans. Normally it is the system
+ * clock; in development it can be frozen, set or advanced (see
+ * routes/devRoutes.js) so that days of schedules run in seconds.
+ *
+ * Timers armed with runAt() follow the virtual time. Advancing fires every
+ * timer that falls due on the way, in order, with the clock set to each
+ * timer's due time while its callback runs.
+ *
+ * MQTT acks, presence, sensor data and leader leases stay on real time.
+ */
+
+const logger = require('./logger');
+
+// setTimeout cannot wait longer than ~24.8 days
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+class Clock {
+  constructor() {
+    // Virtual time minus real time, in ms (while running)
+    this.offset = 0;
+
+    // Virtual time in ms while frozen, null while running
+    this.frozenAt = null;
+
+    // Pending runAt() timers
+    this.timers = new Set();
+
+    // Set while advance() is firing timers
+    this.advancing = false;
+  }
+
+  /**
+   * Current time in ms
+   */
+  now() {
+    return this.frozenAt !== null ? this.frozenAt : Date.now() + this.offset;
+  }
+
+  /**
+   * Current time as a Date
+   */
+  date() {
+    return new Date(this.now());
+  }
+
+  /**
+   * Whether the clock differs from the system clock
+   */
+  isVirtual() {
+    return this.frozenAt !== null || this.offset !== 0;
+  }
+
+  /**
+   * Current state (for the dev API)
+   */
+  status() {
+    const next = [...this.timers].reduce((min, timer) => (!min || timer.when < min.when ? timer : min), null);
+
+    return {
+      now: this.date(),
+      virtual: this.isVirtual(),
+      frozen: this.frozenAt !== null,
+      offsetMs: this.frozenAt !== null ? this.frozenAt - Date.now() : this.offset,
+      pendingTimers: this.timers.size,
+      nextTimerAt: next ? new Date(next.when) : null
+    };
+  }
+
+  /**
+   * Run a callback at an absolute time (longer waits are chained)
+   *
+   * @param {Date|number} when
+   * @returns {Object} Handle with stop()
+   */
+  runAt(when, callback) {
+    const handle = { when: new Date(when).getTime(), timer: null };
+
+    handle.fire = () => {
+      this.timers.delete(handle);
+      return callback();
+    };
+
+    // Re-check on every wake-up, so a timer that fires early never runs the
+    // callback (a frozen clock arms nothing - resume() and advance() do)
+    handle.wait = () => {
+      clearTimeout(handle.timer);
+      handle.timer = null;
+      if (this.frozenAt !== null) {
+        return;
+      }
+
+      const remaining = handle.when - this.now();
+      if (remaining > 0) {
+        handle.timer = setTimeout(handle.wait, Math.min(remaining, MAX_TIMEOUT));
+      } else {
+        handle.timer = setTimeout(handle.fire, 0);
+      }
+    };
+
+    handle.stop = () => {
+      clearTimeout(handle.timer);
+      this.timers.delete(handle);
+    };
+
+    this.timers.add(handle);
+    handle.wait();
+    return handle;
+  }
+
+  /**
+   * Stop time at the current (or a given) instant
+   */
+  freeze(at = this.now()) {
+    this.frozenAt = new Date(at).getTime();
+    for (const timer of this.timers) {
+      timer.wait();
+    }
+
+    logger.info(`Clock frozen at ${this.date().toISOString()}`);
+  }
+
+  /**
+   * Let a frozen clock run again from where it stands
+   */
+  resume() {
+    if (this.frozenAt === null) {
+      return;
+    }
+
+    this.offset = this.frozenAt - Date.now();
+    this.frozenAt = null;
+    for (const timer of this.timers) {
+      timer.wait();
+    }
+
+    logger.info(`Clock resumed at ${this.date().toISOString()}`);
+  }
+
+  /**
+   * Move the clock forward, firing every timer that falls due on the way
+   *
+   * Callbacks are awaited one at a time, so timers they arm (the next
+   * boundary, retries) fire in the same advance. A running clock keeps
+   * running from the new time.
+   *
+   * @param {number} ms
+   * @returns {Promise<number>} Number of timers fired
+   */
+  async advance(ms) {
+    if (!(ms >= 0)) {
+      throw new Error('The clock can only be advanced forward');
+    }
+    if (this.advancing) {
+      throw new Error('The clock is already being advanced');
+    }
+
+    const running = this.frozenAt === null;
+    const target = this.now() + ms;
+    let fired = 0;
+
+    this.advancing = true;
+    this.freeze();
+
+    try {
+      for (;;) {
+        const due = [...this.timers]
+          .filter(timer => timer.when <= target)
+          .reduce((min, timer) => (!min || timer.when < min.when ? timer : min), null);
+        if (!due) {
+          break;
+        }
+
+        this.frozenAt = Math.max(this.frozenAt, due.when);
+        fired++;
+        try {
+          await due.fire();
+        } catch (error) {
+          logger.error(`Timer due at ${new Date(due.when).toISOString()} failed:`, error);
+        }
+      }
+
+      this.frozenAt = target;
+    } finally {
+      this.advancing = false;
+      if (running) {
+        this.resume();
+      }
+    }
+
+    logger.info(`Clock advanced to ${this.date().toISOString()} (${fired} timers fired)`);
+    return fired;
+  }
+
+  /**
+   * Set the clock to an instant
+   *
+   * Moving forward advances (firing due timers); moving back only moves the
+   * clock - timers already armed keep their due times.
+   *
+   * @returns {Promise<number>} Number of timers fired
+   */
+  async set(at) {
+    if (this.advancing) {
+      throw new Error('The clock is already being advanced');
+    }
+
+    const target = new Date(at).getTime();
+    if (target >= this.now()) {
+      return this.advance(target - this.now());
+    }
+
+    if (this.frozenAt !== null) {
+      this.freeze(target);
+    } else {
+      this.offset = target - Date.now();
+      for (const timer of this.timers) {
+        timer.wait();
+      }
+    }
+
+    logger.info(`Clock set back to ${this.date().toISOString()}`);
+    return 0;
+  }
+
+  /**
+   * Return to the system clock
+   */
+  reset() {
+    this.offset = 0;
+    this.frozenAt = null;
+    for (const timer of this.timers) {
+      timer.wait();
+    }
+
+    logger.info('Clock reset to system time');
+  }
+}
+
+module.exports = new Clock();
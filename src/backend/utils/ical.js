@@ -0,0 +1,752 @@
+/**
+ * iCalendar (RFC 5545) export and import of schedules
+ *
+ * Each schedule is one VEVENT: DTSTART/DTEND in the schedule timezone (TZID is
+ * the IANA name), the recurrence as an RRULE and skip dates as EXDATE. Fan
+ * speed, priority, ramp steps and sun-relative anchors travel in X-PRAAN-*
+ * properties so an exported calendar imports back unchanged (calendar tools
+ * show a sun-relative schedule at its first occurrence's times). Custom cron
+ * day patterns cannot always be written as an RRULE, so they are exported as
+ * explicit dates (RDATE) for the next year together with their X-PRAAN-CRON
+ * expression.
+ *
+ * Import maps the subset of RRULE that schedules can express:
+ *   FREQ=DAILY;INTERVAL=n                      -> daily
+ *   FREQ=WEEKLY;INTERVAL=n;BYDAY=MO,WE         -> weekly
+ *   FREQ=MONTHLY;BYMONTHDAY=15 (or -1)         -> monthly
+ *   FREQ=MONTHLY;BYDAY=2TU (or -1FR, or BYDAY=TU;BYSETPOS=2) -> monthly
+ *   UNTIL / COUNT                              -> validUntil
+ * An event without RRULE becomes a one-time schedule.
+ */
+
+const recurrence = require('./recurrence');
+const clock = require('./clock');
+
+const PRODUCT_ID = '-//Praan//IoT Scheduler//EN';
+const UID_DOMAIN = 'praan-iot';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// RRULE parts the importer understands
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'UNTIL', 'COUNT', 'BYDAY', 'BYMONTHDAY', 'BYSETPOS', 'WKST'];
+
+// How far ahead custom schedules are written out as RDATEs
+const CUSTOM_EXPORT_DAYS = 366;
+
+// How far ahead an RRULE COUNT is followed to find the last occurrence
+const COUNT_MAX_YEARS = 100;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets (continuations start with a space)
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Local DATE-TIME value ("YYYYMMDDTHHMMSS") of a calendar date and time of day
+ */
+function formatLocal({ year, month, day }, minutes) {
+  return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+}
+
+/**
+ * UTC DATE-TIME value ("YYYYMMDDTHHMMSSZ") of an instant
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Unique ID of a schedule's event (kept from the import it came from)
+ */
+function uidOf(schedule) {
+  return schedule.icalUid || `${schedule._id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Schedule ID encoded in a UID this module exported (null for other UIDs)
+ */
+function scheduleIdOf(uid) {
+  const match = new RegExp(`^([0-9a-f]{24})@${UID_DOMAIN}$`).exec(uid || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * RRULE value of a daily, weekly or monthly schedule
+ */
+function recurrenceRule(schedule) {
+  const parts = [];
+  const interval = schedule.interval || 1;
+
+  switch (schedule.recurrenceType) {
+    case 'daily':
+      parts.push('FREQ=DAILY');
+      break;
+
+    case 'weekly': {
+      const names = schedule.days && schedule.days.length > 0 ? schedule.days : [schedule.day];
+      const codes = names.filter(Boolean).map(name => WEEKDAY_CODES[recurrence.DAY_NAMES.indexOf(name)]);
+      parts.push('FREQ=WEEKLY', 'WKST=MO', `BYDAY=${codes.join(',')}`);
+      break;
+    }
+
+    case 'monthly': {
+      const rule = recurrence.monthlyRuleOf(schedule);
+      const weekday = WEEKDAY_CODES[recurrence.DAY_NAMES.indexOf(rule.weekday)];
+      parts.push('FREQ=MONTHLY');
+      if (rule.kind === 'dayOfMonth') parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+      if (rule.kind === 'lastDay') parts.push('BYMONTHDAY=-1');
+      if (rule.kind === 'nthWeekday') parts.push(`BYDAY=${rule.nth}${weekday}`);
+      if (rule.kind === 'lastWeekday') parts.push(`BYDAY=-1${weekday}`);
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  // UNTIL bounds the occurrence starts - the end of the last valid day
+  const validUntil = recurrence.parseDate(schedule.validUntil);
+  if (validUntil) {
+    const nextDay = recurrence.zonedDate(recurrence.addDays(validUntil, 1), recurrence.timeZoneOf(schedule));
+    parts.push(`UNTIL=${formatUtc(new Date(nextDay.getTime() - 1000))}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * First date a recurring schedule occurs on (from its anchor/validFrom, or from
+ * a date for custom schedules)
+ *
+ * @returns {Object|null} { year, month, day }, or null if it never occurs again
+ */
+function firstOccurrence(schedule, from) {
+  let date = from;
+  const validFrom = recurrence.parseDate(schedule.validFrom);
+  if (validFrom && recurrence.dayNumber(validFrom) > recurrence.dayNumber(date)) {
+    date = validFrom;
+  }
+
+  const validUntil = recurrence.parseDate(schedule.validUntil);
+  for (let i = 0; i < 5 * 366; i++, date = recurrence.addDays(date, 1)) {
+    if (validUntil && recurrence.dayNumber(date) > recurrence.dayNumber(validUntil)) {
+      return null;
+    }
+    if (recurrence.occursOn(schedule, date)) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Sun-relative start/end of a schedule in words (empty for fixed times)
+ */
+function describeAnchors(schedule) {
+  const describe = (anchor, time) => {
+    if (!anchor || !anchor.event) {
+      return time;
+    }
+    const offset = anchor.offsetMinutes || 0;
+    return offset === 0 ? anchor.event : `${Math.abs(offset)} minutes ${offset < 0 ? 'before' : 'after'} ${anchor.event}`;
+  };
+
+  if (!recurrence.hasSolarAnchor(schedule)) {
+    return '';
+  }
+  return `, from ${describe(schedule.startAnchor, schedule.startTime)} to ${describe(schedule.endAnchor, schedule.endTime)} (times change daily)`;
+}
+
+/**
+ * Content lines of a schedule's VEVENT
+ *
+ * @returns {Array|null} Unfolded lines, or null if the schedule has no occurrences left
+ */
+function eventLines(schedule, now) {
+  const timeZone = recurrence.timeZoneOf(schedule);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uidOf(schedule)}`,
+    `DTSTAMP:${formatUtc(now)}`
+  ];
+
+  if (schedule.recurrenceType === 'once') {
+    lines.push(`DTSTART:${formatUtc(schedule.startAt)}`, `DTEND:${formatUtc(schedule.endAt)}`);
+  } else {
+    const isCustom = schedule.recurrenceType === 'custom';
+    const first = firstOccurrence(schedule, isCustom ? recurrence.localParts(now, timeZone) : recurrence.anchorOf(schedule));
+    if (!first) {
+      return null;
+    }
+
+    // Sun-relative times are those of the first occurrence (X-PRAAN-*-ANCHOR has the rule)
+    const solarWindow = recurrence.hasSolarAnchor(schedule) && recurrence.windowOn(schedule, first, timeZone);
+    const start = solarWindow
+      ? recurrence.localParts(solarWindow.start, timeZone)
+      : { ...first, minutes: recurrence.timeToMinutes(schedule.startTime) };
+    const end = solarWindow
+      ? recurrence.localParts(solarWindow.end, timeZone)
+      : { ...(recurrence.isOvernight(schedule) ? recurrence.addDays(first, 1) : first), minutes: recurrence.timeToMinutes(schedule.endTime) };
+    const startMinutes = start.minutes;
+    lines.push(
+      `DTSTART;TZID=${timeZone}:${formatLocal(start, start.minutes)}`,
+      `DTEND;TZID=${timeZone}:${formatLocal(end, end.minutes)}`
+    );
+
+    if (isCustom) {
+      const last = recurrence.dayNumber(first) + CUSTOM_EXPORT_DAYS;
+      const dates = [];
+      for (const occurrence of recurrence.occurrencesFrom(schedule, recurrence.zonedDate(recurrence.addDays(first, 1), timeZone))) {
+        const date = recurrence.parseDate(occurrence.date);
+        if (recurrence.dayNumber(date) <= recurrence.dayNumber(first)) {
+          continue;
+        }
+        if (recurrence.dayNumber(date) > last) {
+          break;
+        }
+        const local = recurrence.localParts(occurrence.start, timeZone);
+        dates.push(formatLocal(local, local.minutes));
+      }
+      if (dates.length > 0) {
+        lines.push(`RDATE;TZID=${timeZone}:${dates.join(',')}`);
+      }
+      lines.push(`X-PRAAN-CRON:${escapeText(schedule.customCron)}`);
+    } else {
+      lines.push(`RRULE:${recurrenceRule(schedule)}`);
+    }
+
+    const skipDates = (schedule.skipDates || [])
+      .map(recurrence.parseDate)
+      .filter(date => date && recurrence.dayNumber(date) >= recurrence.dayNumber(first));
+    if (skipDates.length > 0) {
+      lines.push(`EXDATE;TZID=${timeZone}:${skipDates.map(date => formatLocal(date, startMinutes)).join(',')}`);
+    }
+  }
+
+  const speeds = schedule.steps && schedule.steps.length > 0
+    ? schedule.steps.map(step => step.fanSpeed).join(' → ')
+    : schedule.fanSpeed;
+  lines.push(
+    `SUMMARY:${escapeText(`Air purifier fan speed ${speeds}`)}`,
+    `DESCRIPTION:${escapeText(`${schedule.deviceId}: ${recurrence.describeRecurrence(schedule)}${describeAnchors(schedule)}`)}`,
+    `X-PRAAN-FAN-SPEED:${schedule.fanSpeed}`,
+    `X-PRAAN-PRIORITY:${schedule.priority || 0}`
+  );
+
+  for (const phase of ['start', 'end']) {
+    const anchor = schedule[`${phase}Anchor`];
+    if (anchor && anchor.event) {
+      const name = `X-PRAAN-${phase.toUpperCase()}-ANCHOR`;
+      lines.push(`${name}:${escapeText(JSON.stringify({ event: anchor.event, offsetMinutes: anchor.offsetMinutes || 0 }))}`);
+    }
+  }
+  // Only a location of its own - schedules following the device stay that way on re-import
+  if (recurrence.hasSolarAnchor(schedule) && recurrence.isLocation(schedule.location)) {
+    lines.push(`GEO:${schedule.location.latitude};${schedule.location.longitude}`);
+  }
+
+  if (schedule.steps && schedule.steps.length > 0) {
+    const steps = schedule.steps.map(({ fanSpeed, offsetMinutes, beforeEndMinutes }) => (
+      offsetMinutes !== undefined && offsetMinutes !== null ? { fanSpeed, offsetMinutes } : { fanSpeed, beforeEndMinutes }
+    ));
+    lines.push(`X-PRAAN-STEPS:${escapeText(JSON.stringify(steps))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render schedules as an iCalendar file
+ *
+ * @param {Array} schedules - Schedules of one device
+ * @param {Object} options - { name, timeZone, now }
+ * @returns {string} text/calendar content (CRLF line endings)
+ */
+function renderCalendar(schedules, { name, timeZone, now = clock.date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  for (const schedule of schedules) {
+    lines.push(...(eventLines(schedule, now) || []));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a content line into name, parameters and value
+ *
+ * @returns {Object|null} { name, params, value }
+ */
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const param of rawParams) {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar file
+ *
+ * @returns {Array} One Map per event: property name -> [{ params, value }]
+ */
+function parseCalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const components = [];
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        events.push(new Map());
+      }
+    } else if (property.name === 'END') {
+      components.pop();
+    } else if (components[components.length - 1] === 'VEVENT') {
+      // Properties of nested components (e.g. VALARM) are ignored
+      const event = events[events.length - 1];
+      if (!event.has(property.name)) {
+        event.set(property.name, []);
+      }
+      event.get(property.name).push(property);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Read a DATE-TIME property value
+ *
+ * UTC values ("...Z") stay in UTC (a recurring UTC event keeps its UTC time),
+ * floating values are read in the fallback timezone, TZID values in their own.
+ *
+ * @returns {Object} { instant, local, timeZone, utc } or { error }
+ */
+function readDateTime(value, params, fallbackTimeZone) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { error: 'All-day events are not supported (give the event a start and end time)' };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!match) {
+    return { error: `Invalid date-time "${value}"` };
+  }
+
+  const date = recurrence.parseDate(`${match[1]}-${match[2]}-${match[3]}`);
+  const minutes = parseInt(match[4]) * 60 + parseInt(match[5]);
+  if (!date || minutes >= 24 * 60) {
+    return { error: `Invalid date-time "${value}"` };
+  }
+
+  if (match[7]) {
+    const instant = new Date(Date.UTC(date.year, date.month - 1, date.day, parseInt(match[4]), parseInt(match[5]), parseInt(match[6])));
+    return { instant, local: recurrence.localParts(instant, 'UTC'), timeZone: 'UTC', utc: true };
+  }
+
+  const timeZone = params.TZID ? params.TZID.replace(/^\//, '') : fallbackTimeZone;
+  if (!recurrence.isValidTimeZone(timeZone)) {
+    return { error: `Unknown timezone "${params.TZID}" (use an IANA timezone such as Europe/Berlin)` };
+  }
+
+  const local = { ...date, minutes };
+  return { instant: recurrence.zonedDate(local, timeZone), local, timeZone };
+}
+
+/**
+ * Length of a DURATION value ("PT1H30M", "P1D", "P2W") in ms (null if invalid)
+ */
+function parseDuration(value) {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match || value.endsWith('T')) {
+    return null;
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => parseInt(part) || 0);
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+const formatTime = minutes => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Schedule fields of an RRULE (recurrenceType, day/days, interval, monthlyRule)
+ *
+ * @returns {Object} The fields, or { error }
+ */
+function ruleFields(rule, start) {
+  const parts = {};
+  for (const part of rule.split(';')) {
+    const [key, value = ''] = part.split('=');
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).find(key => !SUPPORTED_RULE_PARTS.includes(key));
+  if (unsupported) {
+    return { error: `RRULE part ${unsupported} is not supported` };
+  }
+
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL) : 1;
+  if (!/^\d+$/.test(parts.INTERVAL || '1') || interval < 1 || interval > 365) {
+    return { error: 'RRULE INTERVAL must be between 1 and 365' };
+  }
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const plainDays = byDay.every(code => WEEKDAY_CODES.includes(code));
+  const dayName = code => recurrence.DAY_NAMES[WEEKDAY_CODES.indexOf(code)];
+
+  switch (parts.FREQ) {
+    case 'DAILY':
+      if (byDay.length === 0) {
+        return { recurrenceType: 'daily', interval };
+      }
+      // "Every weekday" style rules
+      if (!plainDays || interval !== 1) {
+        return { error: 'FREQ=DAILY with BYDAY is only supported without an interval' };
+      }
+      return { recurrenceType: 'weekly', days: byDay.map(dayName), interval };
+
+    case 'WEEKLY': {
+      if (!plainDays) {
+        return { error: `Invalid RRULE BYDAY "${parts.BYDAY}" for a weekly rule` };
+      }
+
+      const days = byDay.length > 0 ? byDay.map(dayName) : [recurrence.DAY_NAMES[recurrence.weekdayOf(start)]];
+
+      // Weeks are counted Monday to Sunday - a different week start only matters with Sunday in an interval
+      if (interval > 1 && parts.WKST && parts.WKST !== 'MO' && days.includes('Sunday') && days.length > 1) {
+        return { error: 'Weekly intervals including Sunday are only supported with WKST=MO' };
+      }
+      return { recurrenceType: 'weekly', days, interval };
+    }
+
+    case 'MONTHLY': {
+      const fields = { recurrenceType: 'monthly', interval };
+      const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',') : [];
+      if (byMonthDay.length > 1 || byDay.length > 1 || (byMonthDay.length > 0 && byDay.length > 0)) {
+        return { error: 'Monthly rules must have a single BYMONTHDAY or BYDAY value' };
+      }
+
+      if (byMonthDay.length === 1) {
+        const day = parseInt(byMonthDay[0]);
+        if (day === -1) {
+          return { ...fields, monthlyRule: { kind: 'lastDay' } };
+        }
+        if (!/^\d+$/.test(byMonthDay[0]) || day < 1 || day > 31) {
+          return { error: `RRULE BYMONTHDAY=${byMonthDay[0]} is not supported` };
+        }
+        return { ...fields, monthlyRule: { kind: 'dayOfMonth', dayOfMonth: day } };
+      }
+
+      if (byDay.length === 1) {
+        const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(byDay[0]);
+        const nth = match && parseInt(match[1] || parts.BYSETPOS);
+        if (!match || (match[1] && parts.BYSETPOS)) {
+          return { error: `RRULE BYDAY=${byDay[0]} is not supported for monthly rules` };
+        }
+        if (nth === -1) {
+          return { ...fields, monthlyRule: { kind: 'lastWeekday', weekday: dayName(match[2]) } };
+        }
+        if (!(nth >= 1 && nth <= 5)) {
+          return { error: 'Monthly weekday rules need an ordinal (e.g., BYDAY=2TU or BYDAY=-1FR)' };
+        }
+        return { ...fields, monthlyRule: { kind: 'nthWeekday', nth, weekday: dayName(match[2]) } };
+      }
+
+      return { ...fields, monthlyRule: { kind: 'dayOfMonth', dayOfMonth: start.day } };
+    }
+
+    default:
+      return { error: `RRULE FREQ=${parts.FREQ || ''} is not supported` };
+  }
+}
+
+/**
+ * Convert a parsed VEVENT into Schedule data
+ *
+ * @param {Map} event - Result entry of parseCalendar
+ * @param {Object} options - { deviceId, timeZone (for floating times), deviceLocation (sun-relative
+ *   events without GEO follow it), fanSpeed (default), now }
+ * @returns {Object} { uid, data } or { uid, error }
+ */
+function eventToSchedule(event, { deviceId, timeZone, deviceLocation, fanSpeed: defaultFanSpeed, now = clock.date() }) {
+  const first = name => (event.get(name) || [])[0];
+  const text = name => (first(name) ? unescapeText(first(name).value) : undefined);
+  const uid = text('UID');
+  const fail = error => ({ uid, summary: text('SUMMARY'), error });
+
+  if ((text('STATUS') || '').toUpperCase() === 'CANCELLED') {
+    return fail('Event is cancelled');
+  }
+
+  if (!first('DTSTART')) {
+    return fail('Event has no DTSTART');
+  }
+
+  const start = readDateTime(first('DTSTART').value, first('DTSTART').params, timeZone);
+  if (start.error) {
+    return fail(start.error);
+  }
+
+  let endInstant;
+  if (first('DTEND')) {
+    const end = readDateTime(first('DTEND').value, first('DTEND').params, start.timeZone);
+    if (end.error) {
+      return fail(end.error);
+    }
+    endInstant = end.instant;
+  } else if (first('DURATION')) {
+    const duration = parseDuration(first('DURATION').value);
+    if (duration === null) {
+      return fail(`Invalid DURATION "${first('DURATION').value}"`);
+    }
+    endInstant = new Date(start.instant.getTime() + duration);
+  } else {
+    return fail('Event has no end (DTEND or DURATION)');
+  }
+
+  if (endInstant <= start.instant) {
+    return fail('Event must end after it starts');
+  }
+
+  // Fan speed: our own property, then "speed N" in the summary, then the request default
+  const speedMatch = /speed\s*:?\s*([1-5])\b/i.exec(text('SUMMARY') || '');
+  const fanSpeed = parseInt(text('X-PRAAN-FAN-SPEED')) || (speedMatch && parseInt(speedMatch[1])) || defaultFanSpeed;
+  if (!fanSpeed) {
+    return fail('No fan speed (add "speed N" to the summary or pass fanSpeed)');
+  }
+
+  // Sun-relative start/end (our own export)
+  const anchors = {};
+  for (const phase of ['start', 'end']) {
+    const value = text(`X-PRAAN-${phase.toUpperCase()}-ANCHOR`);
+    if (value) {
+      try {
+        anchors[`${phase}Anchor`] = JSON.parse(value);
+      } catch (error) {
+        return fail(`Invalid X-PRAAN-${phase.toUpperCase()}-ANCHOR`);
+      }
+    }
+  }
+
+  let steps;
+  if (text('X-PRAAN-STEPS')) {
+    try {
+      steps = JSON.parse(text('X-PRAAN-STEPS'));
+    } catch (error) {
+      return fail('Invalid X-PRAAN-STEPS');
+    }
+  }
+
+  // Every recurrence field is listed so a re-import can change the recurrence type
+  const data = {
+    deviceId,
+    recurrenceType: undefined,
+    day: undefined,
+    days: [],
+    interval: 1,
+    monthlyRule: undefined,
+    anchorDate: undefined,
+    validFrom: undefined,
+    validUntil: undefined,
+    skipDates: [],
+    customCron: undefined,
+    startTime: undefined,
+    endTime: undefined,
+    startAt: undefined,
+    endAt: undefined,
+    startAnchor: undefined,
+    endAnchor: undefined,
+    location: undefined,
+    timezone: start.timeZone,
+    fanSpeed: steps && steps[0] ? steps[0].fanSpeed : fanSpeed,
+    steps: steps || [],
+    priority: parseInt(text('X-PRAAN-PRIORITY')) || 0,
+    icalUid: uid
+  };
+
+  const customCron = text('X-PRAAN-CRON');
+  const rule = first('RRULE');
+
+  // No recurrence - a one-time schedule
+  if (!rule && !customCron) {
+    if (event.has('RDATE')) {
+      return fail('RDATE is not supported');
+    }
+    if (endInstant <= now) {
+      return fail('Event is in the past');
+    }
+    // A UTC window is shown in the device timezone
+    return { uid, data: { ...data, recurrenceType: 'once', startAt: start.instant, endAt: endInstant, timezone: start.utc ? timeZone : start.timeZone } };
+  }
+
+  if (endInstant - start.instant >= 24 * 60 * 60 * 1000) {
+    return fail('Recurring events must be shorter than 24 hours');
+  }
+
+  const fields = customCron ? { recurrenceType: 'custom', customCron } : ruleFields(rule.value, start.local);
+  if (fields.error) {
+    return fail(fields.error);
+  }
+
+  const startDate = recurrence.formatDate(start.local);
+  Object.assign(data, fields, {
+    day: fields.days && fields.days.length === 1 ? fields.days[0] : undefined,
+    days: fields.days && fields.days.length > 1 ? fields.days : [],
+    startTime: anchors.startAnchor ? undefined : formatTime(start.local.minutes),
+    endTime: anchors.endAnchor ? undefined : formatTime(recurrence.localParts(endInstant, start.timeZone).minutes),
+    anchorDate: startDate,
+    validFrom: customCron ? undefined : startDate
+  });
+
+  if (anchors.startAnchor || anchors.endAnchor) {
+    // Coordinates from the event (GEO) - without them the schedule follows the device location
+    const geo = text('GEO') && text('GEO').split(/[;,]/).map(Number);
+    const location = geo && geo.length === 2 && geo.every(Number.isFinite) ? { latitude: geo[0], longitude: geo[1] } : undefined;
+    if (!location && !deviceLocation) {
+      return fail('Sun-relative events need a location (GEO or the device latitude/longitude)');
+    }
+    Object.assign(data, anchors, { location });
+  } else if (data.startTime === data.endTime) {
+    return fail('Recurring events must be shorter than 24 hours');
+  }
+
+  // Excluded dates (read in their own TZID, stored as dates in the schedule timezone)
+  const skipDates = new Set();
+  for (const exdate of event.get('EXDATE') || []) {
+    for (const value of exdate.value.split(',')) {
+      const date = /^\d{8}$/.test(value)
+        ? recurrence.parseDate(`${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`)
+        : readDateTime(value, exdate.params, start.timeZone);
+      if (!date || date.error) {
+        return fail(`Invalid EXDATE "${value}"`);
+      }
+      skipDates.add(recurrence.formatDate(date.instant ? recurrence.localParts(date.instant, start.timeZone) : date));
+    }
+  }
+  data.skipDates = [...skipDates].sort();
+
+  if (rule && !customCron) {
+    const parts = Object.fromEntries(rule.value.split(';').map(part => part.toUpperCase().split('=')));
+
+    if (parts.UNTIL) {
+      const until = readDateTime(/^\d{8}$/.test(parts.UNTIL) ? `${parts.UNTIL}T235959` : parts.UNTIL, {}, start.timeZone);
+      if (until.error) {
+        return fail(`Invalid RRULE UNTIL "${parts.UNTIL}"`);
+      }
+
+      // The last occurrence is the last one starting at or before UNTIL
+      const local = recurrence.localParts(until.instant, start.timeZone);
+      const lastDate = local.minutes < start.local.minutes ? recurrence.addDays(local, -1) : local;
+      data.validUntil = recurrence.formatDate(lastDate);
+    } else if (parts.COUNT) {
+      const count = parseInt(parts.COUNT);
+      if (!(count >= 1)) {
+        return fail(`Invalid RRULE COUNT "${parts.COUNT}"`);
+      }
+
+      // COUNT includes excluded dates. Dates are walked one by one (not with
+      // occurrencesFrom, whose search stops after a few years)
+      const schedule = { ...data, deviceLocation };
+      const last = recurrence.dayNumber(start.local) + COUNT_MAX_YEARS * 366;
+      let n = 0;
+      for (let date = recurrence.parseDate(startDate); n < count && recurrence.dayNumber(date) <= last; date = recurrence.addDays(date, 1)) {
+        if (recurrence.occursOn(schedule, date)) {
+          data.validUntil = recurrence.formatDate(date);
+          n++;
+        }
+      }
+      if (n < count) {
+        return fail(`RRULE COUNT ${count} runs more than ${COUNT_MAX_YEARS} years ahead - use UNTIL or no end`);
+      }
+    }
+
+    if (data.validUntil && data.validUntil < startDate) {
+      return fail('Event has no occurrences');
+    }
+  }
+
+  return { uid, data };
+}
+
+module.exports = {
+  renderCalendar,
+  parseCalendar,
+  eventToSchedule,
+  uidOf,
+  scheduleIdOf,
+  parseDuration
+};
@@ -0,0 +1,182 @@
+/**
+ * MQTT Payload Validator
+ *
+ * Versioned schemas for the messages devices publish (data, ack, status).
+ * Devices may send a "schemaVersion" field; payloads without one are
+ * treated as version 1.
+ */
+
+// Field rules per message type and schema version
+const SCHEMAS = {
+  data: {
+    1: {
+      deviceId: { type: 'string', required: true },
+      timestamp: { type: 'date', required: true },
+      networkStrength: { type: 'number', required: true, min: 0, max: 100 },
+      temperature: { type: 'number', required: true, min: -50, max: 100 },
+      humidity: { type: 'number', required: true, min: 0, max: 100 },
+      pm1: { type: 'number', required: true, min: 0 },
+      pm25: { type: 'number', required: true, min: 0 },
+      pm10: { type: 'number', required: true, min: 0 },
+      sound: { type: 'number', required: true, min: 0 },
+      voc: { type: 'number', required: true, min: 0 },
+      fanSpeed: { type: 'integer', required: true, min: 0, max: 5 },
+      powerOn: { type: 'boolean', required: true },
+      autoOff: { type: 'boolean' },
+      reason: { type: 'string' }
+    }
+  },
+  ack: {
+    1: {
+      deviceId: { type: 'string', required: true },
+      commandId: { type: 'string', required: true },
+      status: { type: 'string', required: true, enum: ['success', 'error'] },
+      message: { type: 'string' },
+      timestamp: { type: 'date', required: true },
+      currentState: {
+        type: 'object',
+        fields: {
+          powerOn: { type: 'boolean', required: true },
+          fanSpeed: { type: 'integer', required: true, min: 0, max: 5 }
+        }
+      }
+    }
+  },
+  status: {
+    1: {
+      deviceId: { type: 'string', required: true },
+      status: { type: 'string', required: true, enum: ['online', 'offline'] },
+      reason: { type: 'string' },
+      powerOn: { type: 'boolean' },
+      fanSpeed: { type: 'integer', min: 0, max: 5 },
+      publishInterval: { type: 'number', min: 1 },
+      timestamp: { type: 'date' }
+    }
+  }
+};
+
+/**
+ * Check a single value against a field rule
+ *
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function checkField(name, value, rule) {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        return `${name} must be a non-empty string`;
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be a number`;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return `${name} must be an integer`;
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `${name} must be >= ${rule.min}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `${name} must be <= ${rule.max}`;
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return `${name} must be a boolean`;
+      }
+      break;
+    case 'date':
+      if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+        return `${name} must be an ISO date string`;
+      }
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return `${name} must be an object`;
+      }
+      break;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check an object against a set of field rules (recurses into nested objects)
+ */
+function checkFields(payload, fields, prefix = '') {
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const path = `${prefix}${name}`;
+    const error = checkField(path, payload[name], rule);
+
+    if (error) {
+      errors.push(error);
+    } else if (rule.type === 'object' && rule.fields && payload[name]) {
+      errors.push(...checkFields(payload[name], rule.fields, `${path}.`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an MQTT payload
+ *
+ * @param {string} messageType - Last topic segment ('data', 'ack', 'status')
+ * @param {Object} payload - Parsed JSON payload
+ * @param {string} topicDeviceId - Device ID from the topic (must match the payload)
+ * @returns {Object} { valid, reason, errors, version }
+ */
+function validatePayload(messageType, payload, topicDeviceId) {
+  const versions = SCHEMAS[messageType];
+  if (!versions) {
+    return { valid: false, reason: 'unknown_topic', errors: [`No schema for message type "${messageType}"`] };
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { valid: false, reason: 'schema_validation', errors: ['Payload must be a JSON object'] };
+  }
+
+  const version = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+  const fields = versions[version];
+  if (!fields) {
+    return {
+      valid: false,
+      reason: 'unsupported_schema_version',
+      errors: [`Unsupported schemaVersion ${version} for ${messageType}`],
+      version
+    };
+  }
+
+  const errors = checkFields(payload, fields);
+  if (errors.length > 0) {
+    return { valid: false, reason: 'schema_validation', errors, version };
+  }
+
+  if (topicDeviceId && payload.deviceId !== topicDeviceId) {
+    return {
+      valid: false,
+      reason: 'device_mismatch',
+      errors: [`Payload deviceId "${payload.deviceId}" does not match topic device "${topicDeviceId}"`],
+      version
+    };
+  }
+
+  return { valid: true, reason: null, errors: [], version };
+}
+
+module.exports = {
+  validatePayload,
+  SCHEMAS
+};
@@ -0,0 +1,986 @@
+/**
+ * Schedule Recurrence Engine
+ *
+ * Decides on which calendar days a schedule runs, counting intervals from
+ * the schedule's anchorDate instead of relying on cron step fields (which
+ * reset at month boundaries) or on lastExecuted.
+ *
+ * - daily:   every N days from the anchor date
+ * - weekly:  on the selected weekdays, every N weeks from the anchor's week (weeks start Monday)
+ * - monthly: by monthlyRule (day of month, nth/last weekday, last day), every N months
+ * - custom:  day-of-month, month and day-of-week fields of the cron expression
+ * - once:    a single window between the absolute startAt and endAt instants
+ *
+ * Exceptions (validFrom/validUntil, skipDates, holidays) are checked
+ * separately by exceptionOn so skipped runs can be recorded with a reason.
+ *
+ * Dates are calendar dates ({ year, month, day }) in the schedule timezone
+ * (schedule.timezone, falling back to TIMEZONE). Instants are derived with
+ * zonedDate, so a time in a DST gap moves forward and a repeated time is
+ * used once. A window starting in a gap starts when the gap ends, so it keeps
+ * the part of its local time range that exists that day.
+ * An occurrence belongs to the day it starts: an overnight window such as
+ * 22:00-06:00 on Friday ends on Saturday morning.
+ *
+ * Within a window, optional ramp steps change the fan speed (stepsIn/speedAt).
+ *
+ * A startAnchor/endAnchor ({ event: 'sunset', offsetMinutes: -30 }) replaces
+ * startTime/endTime with a solar event at the schedule's location (see
+ * locationOf), computed
+ * for each date. The window ends at the first end after its start, and dates
+ * without the solar event (polar day or night) have no occurrence.
+ */
+
+const solar = require('./solar');
+const clock = require('./clock');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead occurrences are searched (covers rare custom patterns such as Feb 29)
+const MAX_LOOKAHEAD_DAYS = 5 * 366;
+
+// Cached Intl formatters per timezone
+const formatters = new Map();
+
+/**
+ * Default timezone for schedules
+ */
+function defaultTimeZone() {
+  return process.env.TIMEZONE || 'UTC';
+}
+
+/**
+ * Check whether a string is a timezone known to Intl (e.g. "Europe/Berlin")
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Timezone a schedule is evaluated in
+ */
+function timeZoneOf(schedule) {
+  return schedule.timezone || defaultTimeZone();
+}
+
+/**
+ * Calendar date and time of day of an instant in a timezone
+ *
+ * @returns {Object} { year, month, day, weekday, minutes } (minutes since midnight)
+ */
+function localParts(date, timeZone = defaultTimeZone()) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const result = {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+  result.weekday = weekdayOf(result);
+
+  return result;
+}
+
+/**
+ * Instant of a calendar date and time of day in a timezone (inverse of localParts)
+ *
+ * @param {Object} local - { year, month, day, minutes }
+ * @returns {Date}
+ */
+function zonedDate({ year, month, day, minutes = 0 }, timeZone = defaultTimeZone()) {
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Offset of the timezone at an instant, in ms (local wall clock - UTC)
+  const offsetAt = (ms) => {
+    const local = localParts(new Date(ms), timeZone);
+    const localMs = Date.UTC(local.year, local.month - 1, local.day, Math.floor(local.minutes / 60), local.minutes % 60);
+    return localMs - Math.floor(ms / 60000) * 60000;
+  };
+
+  const guessOffset = offsetAt(wallClock);
+  const guess = wallClock - guessOffset;
+  const offset = offsetAt(guess);
+  if (offset === guessOffset) {
+    return new Date(guess);
+  }
+
+  // Near a DST change: use the offset at the result if it is consistent,
+  // otherwise the wall clock time falls in a gap and moves forward
+  if (offsetAt(wallClock - offset) === offset) {
+    return new Date(wallClock - offset);
+  }
+  return new Date(wallClock - Math.min(offset, guessOffset));
+}
+
+/**
+ * Parse an absolute datetime (null if invalid)
+ *
+ * Accepts ISO 8601 with an offset ("2026-11-02T14:00:00Z", "...+05:30") or a
+ * local "YYYY-MM-DDTHH:MM" which is read in the schedule timezone.
+ */
+function parseDateTime(value, timeZone = defaultTimeZone()) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+
+  const local = /^(\d{4}-\d{2}-\d{2})[T ]([0-1][0-9]|2[0-3]):([0-5][0-9])$/.exec(value || '');
+  if (local) {
+    const date = parseDate(local[1]);
+    return date ? zonedDate({ ...date, minutes: parseInt(local[2]) * 60 + parseInt(local[3]) }, timeZone) : null;
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value || '')) {
+    return null;
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Format an instant as "YYYY-MM-DD HH:MM" in a timezone
+ */
+function formatDateTime(date, timeZone = defaultTimeZone()) {
+  const local = localParts(date, timeZone);
+  const hours = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+  const minutes = String(local.minutes % 60).padStart(2, '0');
+  return `${formatDate(local)} ${hours}:${minutes}`;
+}
+
+/**
+ * Parse "YYYY-MM-DD" into a calendar date (null if invalid)
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  const date = { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+
+  // Reject dates that roll over (e.g. 2024-02-30)
+  const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  if (check.getUTCMonth() !== date.month - 1 || check.getUTCDate() !== date.day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Format a calendar date as "YYYY-MM-DD"
+ */
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Days since 1970-01-01 for a calendar date
+ */
+function dayNumber({ year, month, day }) {
+  return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+/**
+ * Calendar date for a day number (inverse of dayNumber)
+ */
+function fromDayNumber(number) {
+  const date = new Date(number * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Calendar date N days after (or before, if negative) a date
+ */
+function addDays(date, days) {
+  return fromDayNumber(dayNumber(date) + days);
+}
+
+/**
+ * Weekday (0 = Sunday) of a calendar date
+ */
+function weekdayOf(date) {
+  return (dayNumber(date) + 4) % 7; // 1970-01-01 was a Thursday
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function timeToMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Check whether a schedule starts or ends relative to a solar event
+ */
+function hasSolarAnchor(schedule) {
+  return schedule.recurrenceType !== 'once'
+    && Boolean((schedule.startAnchor && schedule.startAnchor.event) || (schedule.endAnchor && schedule.endAnchor.event));
+}
+
+/**
+ * Check whether a value is { latitude, longitude } in degrees
+ */
+function isLocation(location) {
+  return Boolean(location) && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+/**
+ * Coordinates the solar events of a schedule are computed for - its own
+ * location if one was given, else the device location the scheduler looked up
+ * (deviceLocation, never saved)
+ *
+ * @returns {Object|null} { latitude, longitude }
+ */
+function locationOf(schedule) {
+  if (isLocation(schedule.location)) {
+    return schedule.location;
+  }
+  return isLocation(schedule.deviceLocation) ? schedule.deviceLocation : null;
+}
+
+/**
+ * Validate a startAnchor/endAnchor
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAnchor(anchor) {
+  if (!anchor || typeof anchor !== 'object' || !solar.SOLAR_EVENTS.includes(anchor.event)) {
+    return `event must be one of: ${solar.SOLAR_EVENTS.join(', ')}`;
+  }
+
+  const offset = anchor.offsetMinutes === undefined ? 0 : anchor.offsetMinutes;
+  if (!Number.isInteger(offset) || offset < -720 || offset > 720) {
+    return 'offsetMinutes must be a whole number between -720 and 720';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a schedule's window crosses midnight (ends before it starts)
+ *
+ * Sun-relative windows can cross midnight on some dates only (see windowOn).
+ */
+function isOvernight(schedule) {
+  if (schedule.recurrenceType === 'once' || hasSolarAnchor(schedule)) {
+    return false;
+  }
+  return timeToMinutes(schedule.endTime) < timeToMinutes(schedule.startTime);
+}
+
+/**
+ * Anchor date of a schedule (falls back to the day it was created)
+ */
+function anchorOf(schedule) {
+  return parseDate(schedule.anchorDate)
+    || localParts(schedule.createdAt || clock.date(), timeZoneOf(schedule));
+}
+
+/**
+ * Number of days in a month
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Monthly rule kinds
+const MONTHLY_RULE_KINDS = ['dayOfMonth', 'nthWeekday', 'lastWeekday', 'lastDay'];
+
+/**
+ * Monthly rule of a schedule
+ *
+ * Schedules without a monthlyRule keep the old behaviour: "first <day> of
+ * the month" when day is set, otherwise the anchor's day of month.
+ */
+function monthlyRuleOf(schedule) {
+  const rule = schedule.monthlyRule;
+  if (rule && rule.kind) {
+    return rule;
+  }
+
+  if (schedule.day) {
+    return { kind: 'nthWeekday', nth: 1, weekday: schedule.day };
+  }
+  return { kind: 'dayOfMonth', dayOfMonth: anchorOf(schedule).day };
+}
+
+/**
+ * Check a monthly rule against a calendar date
+ *
+ * Months without the requested day (e.g. the 31st, or a 5th Monday) are skipped.
+ */
+function matchesMonthlyRule(rule, date) {
+  const lastDay = daysInMonth(date.year, date.month);
+
+  switch (rule.kind) {
+    case 'dayOfMonth':
+      return date.day === rule.dayOfMonth;
+
+    case 'nthWeekday':
+      return weekdayOf(date) === DAY_NAMES.indexOf(rule.weekday)
+        && Math.ceil(date.day / 7) === rule.nth;
+
+    case 'lastWeekday':
+      return weekdayOf(date) === DAY_NAMES.indexOf(rule.weekday)
+        && date.day + 7 > lastDay;
+
+    case 'lastDay':
+      return date.day === lastDay;
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate a monthly rule
+ *
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateMonthlyRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'monthlyRule must be an object';
+  }
+
+  if (!MONTHLY_RULE_KINDS.includes(rule.kind)) {
+    return `monthlyRule.kind must be one of: ${MONTHLY_RULE_KINDS.join(', ')}`;
+  }
+
+  if (rule.kind === 'dayOfMonth' && !(Number.isInteger(rule.dayOfMonth) && rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31)) {
+    return 'monthlyRule.dayOfMonth must be a whole number between 1 and 31';
+  }
+
+  if (rule.kind === 'nthWeekday' && !(Number.isInteger(rule.nth) && rule.nth >= 1 && rule.nth <= 5)) {
+    return 'monthlyRule.nth must be a whole number between 1 and 5';
+  }
+
+  if ((rule.kind === 'nthWeekday' || rule.kind === 'lastWeekday') && !DAY_NAMES.includes(rule.weekday)) {
+    return `monthlyRule.weekday must be one of: ${DAY_NAMES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * English ordinal ("1st", "2nd", "23rd", ...)
+ */
+function ordinal(n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+/**
+ * Human-readable monthly rule ("2nd Tuesday", "last day", ...)
+ */
+function describeMonthlyRule(rule) {
+  switch (rule.kind) {
+    case 'dayOfMonth':
+      return `day ${rule.dayOfMonth}`;
+    case 'nthWeekday':
+      return `${ordinal(rule.nth)} ${rule.weekday}`;
+    case 'lastWeekday':
+      return `last ${rule.weekday}`;
+    case 'lastDay':
+      return 'last day';
+    default:
+      return 'unknown rule';
+  }
+}
+
+/**
+ * Human-readable recurrence of a schedule (e.g. "2nd Tuesday of every 3 months")
+ */
+function describeRecurrence(schedule) {
+  const interval = schedule.interval || 1;
+  const every = (unit) => (interval === 1 ? `every ${unit}` : `every ${interval} ${unit}s`);
+
+  switch (schedule.recurrenceType) {
+    case 'daily':
+      return every('day');
+    case 'weekly':
+      return `${every('week')} on ${selectedWeekdays(schedule).map(d => DAY_NAMES[d]).join(', ')}`;
+    case 'monthly':
+      return `${describeMonthlyRule(monthlyRuleOf(schedule))} of ${every('month')}`;
+    case 'custom':
+      return `cron days "${schedule.customCron}"`;
+    case 'once':
+      return `once, ${formatDateTime(schedule.startAt, timeZoneOf(schedule))} to ${formatDateTime(schedule.endAt, timeZoneOf(schedule))}`;
+    default:
+      return schedule.recurrenceType;
+  }
+}
+
+/**
+ * Weekdays (0 = Sunday) selected by a schedule's day/days fields
+ */
+function selectedWeekdays(schedule) {
+  const names = schedule.days && schedule.days.length > 0 ? schedule.days : [schedule.day];
+  return names.filter(Boolean).map(name => DAY_NAMES.indexOf(name));
+}
+
+// Cron field names (lower case) -> numbers
+const CRON_NAMES = {
+  month: { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 },
+  weekday: { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 }
+};
+
+/**
+ * Check a value against one cron field ("*", "1-5", "MON,WED", "0-30/10", ...)
+ */
+function matchesCronField(field, value, min, max, names = {}) {
+  const toNumber = (token) => {
+    const named = names[token.toLowerCase()];
+    return named !== undefined ? named : parseInt(token);
+  };
+
+  return field.split(',').some((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText) : 1;
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(toNumber);
+    } else {
+      from = toNumber(range);
+      to = stepText ? max : from;
+    }
+
+    return value >= from && value <= to && (value - from) % step === 0;
+  });
+}
+
+/**
+ * Check whether a custom cron expression fires on a calendar date
+ *
+ * Like cron, when both day-of-month and day-of-week are restricted a day
+ * matching either one counts.
+ */
+function cronMatchesDate(expression, date) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length < 5) {
+    return false;
+  }
+
+  const [, , dayField, monthField, weekdayField] = fields;
+
+  if (!matchesCronField(monthField, date.month, 1, 12, CRON_NAMES.month)) {
+    return false;
+  }
+
+  const weekday = weekdayOf(date);
+  const dayMatches = matchesCronField(dayField, date.day, 1, 31);
+  const weekdayMatches = matchesCronField(weekdayField, weekday, 0, 6, CRON_NAMES.weekday)
+    || (weekday === 0 && matchesCronField(weekdayField, 7, 0, 7)); // 7 is also Sunday
+
+  if (dayField !== '*' && weekdayField !== '*') {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * Check whether a schedule has an occurrence starting on a calendar date
+ *
+ * @param {Object} schedule - Schedule document (or plain object)
+ * @param {Object} date - { year, month, day } in the schedule timezone
+ * @returns {boolean}
+ */
+function occursOn(schedule, date) {
+  if (!matchesRecurrence(schedule, date)) {
+    return false;
+  }
+
+  // No sunrise/sunset that day (polar day or night) - no occurrence
+  return !hasSolarAnchor(schedule) || solarWindowOn(schedule, date, timeZoneOf(schedule)) !== null;
+}
+
+/**
+ * Check whether a calendar date matches a schedule's recurrence pattern
+ */
+function matchesRecurrence(schedule, date) {
+  const interval = schedule.interval || 1;
+  const anchor = anchorOf(schedule);
+  const daysFromAnchor = dayNumber(date) - dayNumber(anchor);
+
+  if (schedule.recurrenceType === 'once') {
+    // The single occurrence belongs to the day startAt falls on
+    return dayNumber(localParts(schedule.startAt, timeZoneOf(schedule))) === dayNumber(date);
+  }
+
+  if (schedule.recurrenceType !== 'custom' && daysFromAnchor < 0) {
+    return false;
+  }
+
+  switch (schedule.recurrenceType) {
+    case 'daily':
+      return daysFromAnchor % interval === 0;
+
+    case 'weekly': {
+      if (!selectedWeekdays(schedule).includes(weekdayOf(date))) {
+        return false;
+      }
+
+      // Count whole weeks between the Monday of the anchor's week and this date
+      const anchorMonday = dayNumber(anchor) - ((weekdayOf(anchor) + 6) % 7);
+      const weeks = Math.floor((dayNumber(date) - anchorMonday) / 7);
+      return weeks % interval === 0;
+    }
+
+    case 'monthly': {
+      const months = (date.year - anchor.year) * 12 + (date.month - anchor.month);
+      if (months % interval !== 0) {
+        return false;
+      }
+
+      return matchesMonthlyRule(monthlyRuleOf(schedule), date);
+    }
+
+    case 'custom':
+      return Boolean(schedule.customCron) && cronMatchesDate(schedule.customCron, date);
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the exception that cancels a schedule's occurrence on a calendar date
+ *
+ * @param {Object} schedule - Schedule document (or plain object)
+ * @param {Object} date - Occurrence start date { year, month, day }
+ * @param {Map} [holidays] - "YYYY-MM-DD" -> holiday description
+ * @returns {Object|null} { reason, message }, or null if the occurrence runs
+ */
+function exceptionOn(schedule, date, holidays) {
+  const key = formatDate(date);
+
+  if (schedule.validFrom && key < schedule.validFrom) {
+    return { reason: 'not_started', message: `Schedule is valid from ${schedule.validFrom}` };
+  }
+
+  if (schedule.validUntil && key > schedule.validUntil) {
+    return { reason: 'expired', message: `Schedule was valid until ${schedule.validUntil}` };
+  }
+
+  if ((schedule.skipDates || []).includes(key)) {
+    return { reason: 'skip_date', message: `${key} is a skip date` };
+  }
+
+  if (holidays && holidays.has(key)) {
+    return { reason: 'holiday', message: `Holiday: ${holidays.get(key)}` };
+  }
+
+  return null;
+}
+
+/**
+ * Start date of the occurrence whose window covers an instant
+ *
+ * @returns {Object|null} { year, month, day }, or null if no window covers it
+ */
+function activeOccurrence(schedule, at = clock.date(), timeZone = timeZoneOf(schedule)) {
+  if (schedule.recurrenceType === 'once') {
+    return at >= schedule.startAt && at < schedule.endAt ? localParts(schedule.startAt, timeZone) : null;
+  }
+
+  // Today's occurrence, or yesterday's if it runs overnight (compared as
+  // instants, so a repeated hour on a DST change is only covered once)
+  const today = localParts(at, timeZone);
+  for (const date of [today, addDays(today, -1)]) {
+    if (!occursOn(schedule, date)) {
+      continue;
+    }
+
+    const { start, end } = windowOn(schedule, date, timeZone);
+    if (at >= start && at < end) {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a schedule's window covers an instant
+ */
+function isActiveAt(schedule, at = clock.date(), timeZone = timeZoneOf(schedule)) {
+  return activeOccurrence(schedule, at, timeZone) !== null;
+}
+
+/**
+ * Start date of the occurrence a window start/end (or ramp step) at this instant belongs to
+ *
+ * @param {string} phase - 'start', 'step' or 'end'
+ * @returns {Object} { year, month, day }
+ */
+function occurrenceDate(schedule, phase, at = clock.date(), timeZone = timeZoneOf(schedule)) {
+  if (schedule.recurrenceType === 'once') {
+    return localParts(schedule.startAt, timeZone);
+  }
+
+  if (phase === 'step') {
+    return activeOccurrence(schedule, at, timeZone) || localParts(at, timeZone);
+  }
+
+  const today = localParts(at, timeZone);
+
+  // Sun times shift every day - find the occurrence that starts/ends at this instant
+  if (hasSolarAnchor(schedule)) {
+    const yesterday = addDays(today, -1);
+    for (const date of [today, yesterday]) {
+      if (occursOn(schedule, date) && windowOn(schedule, date, timeZone)[phase].getTime() === at.getTime()) {
+        return date;
+      }
+    }
+
+    const endsToday = occursOn(schedule, today) && windowOn(schedule, today, timeZone).end <= at;
+    return phase === 'end' && !endsToday ? yesterday : today;
+  }
+
+  // An overnight window ends the day after it started
+  return phase === 'end' && isOvernight(schedule) ? addDays(today, -1) : today;
+}
+
+/**
+ * First instant with the local time of an instant's offset (the end of the DST
+ * gap a moved-forward time fell into)
+ *
+ * @param {Date} instant - Result of zonedDate for a time in a gap
+ * @param {number} shift - How far the time was moved forward, in minutes
+ */
+function gapEnd(instant, shift, timeZone) {
+  const minuteOf = (ms) => {
+    const local = localParts(new Date(ms), timeZone);
+    return dayNumber(local) * 24 * 60 + local.minutes - Math.floor(ms / 60000);
+  };
+
+  // The offset changes once between (instant - shift) and instant
+  const offset = minuteOf(instant.getTime());
+  let before = instant.getTime() - shift * 60000;
+  let after = instant.getTime();
+  while (after - before > 60000) {
+    const middle = before + Math.floor((after - before) / 120000) * 60000;
+    if (minuteOf(middle) === offset) {
+      after = middle;
+    } else {
+      before = middle;
+    }
+  }
+  return new Date(after);
+}
+
+/**
+ * Window (start/end instants) of the occurrence starting on a calendar date
+ *
+ * @returns {Object} { start, end }
+ */
+function windowOn(schedule, date, timeZone = timeZoneOf(schedule)) {
+  if (schedule.recurrenceType === 'once') {
+    return { start: schedule.startAt, end: schedule.endAt };
+  }
+
+  if (hasSolarAnchor(schedule)) {
+    // A date without the solar event gets an empty window (occursOn excludes it)
+    const empty = zonedDate(date, timeZone);
+    return solarWindowOn(schedule, date, timeZone) || { start: empty, end: empty };
+  }
+
+  const endDate = isOvernight(schedule) ? addDays(date, 1) : date;
+  return {
+    start: startOn(schedule.startTime, date, timeZone),
+    end: zonedDate({ ...endDate, minutes: timeToMinutes(schedule.endTime) }, timeZone)
+  };
+}
+
+/**
+ * Start instant of a local start time on a calendar date
+ */
+function startOn(time, date, timeZone) {
+  const startMinutes = timeToMinutes(time);
+  const start = zonedDate({ ...date, minutes: startMinutes }, timeZone);
+
+  // Start time in a DST gap - start when the gap ends instead of when the moved time is reached
+  const local = localParts(start, timeZone);
+  const shift = (dayNumber(local) - dayNumber(date)) * 24 * 60 + local.minutes - startMinutes;
+  return shift > 0 ? gapEnd(start, shift, timeZone) : start;
+}
+
+/**
+ * Start or end instant of a sun-relative schedule on a calendar date
+ *
+ * @param {string} phase - 'start' or 'end'
+ * @returns {Date|null} null if the solar event does not happen that date
+ */
+function boundaryOn(schedule, phase, date, timeZone) {
+  const anchor = schedule[`${phase}Anchor`];
+  if (!anchor || !anchor.event) {
+    return phase === 'start'
+      ? startOn(schedule.startTime, date, timeZone)
+      : zonedDate({ ...date, minutes: timeToMinutes(schedule.endTime) }, timeZone);
+  }
+
+  const location = locationOf(schedule);
+  if (!location) {
+    return null;
+  }
+
+  const instant = solar.solarTime(anchor.event, date, location, timeZone);
+  return instant && new Date(instant.getTime() + (anchor.offsetMinutes || 0) * 60000);
+}
+
+/**
+ * Window of a sun-relative schedule on a calendar date (ends at the first end after its start)
+ *
+ * @returns {Object|null} { start, end }, or null if a solar event is missing
+ */
+function solarWindowOn(schedule, date, timeZone) {
+  const start = boundaryOn(schedule, 'start', date, timeZone);
+  if (!start) {
+    return null;
+  }
+
+  let end = boundaryOn(schedule, 'end', date, timeZone);
+  if (end && end <= start) {
+    end = boundaryOn(schedule, 'end', addDays(date, 1), timeZone);
+  }
+
+  return end && end > start ? { start, end } : null;
+}
+
+/**
+ * Nominal length of a schedule's window in minutes (a DST change can shorten
+ * or lengthen a single occurrence)
+ */
+function windowMinutes(schedule) {
+  if (schedule.recurrenceType === 'once') {
+    return Math.round((schedule.endAt - schedule.startAt) / 60000);
+  }
+
+  // Sun-relative windows change length every day - steps that do not fit a
+  // shorter one are dropped for that occurrence (see stepsIn)
+  if (hasSolarAnchor(schedule)) {
+    return 24 * 60;
+  }
+
+  const minutes = timeToMinutes(schedule.endTime) - timeToMinutes(schedule.startTime);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+}
+
+/**
+ * Validate ramp steps against a window length
+ *
+ * Each step starts offsetMinutes after the window start or beforeEndMinutes
+ * before its end. The first step starts with the window and steps must be in order.
+ *
+ * @param {number} minutes - Window length (see windowMinutes)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSteps(steps, minutes) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'steps must be a non-empty array';
+  }
+
+  let previous = -1;
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    if (!step || !Number.isInteger(step.fanSpeed) || step.fanSpeed < 1 || step.fanSpeed > 5) {
+      return `${label}: fanSpeed must be a whole number between 1 and 5`;
+    }
+
+    const hasOffset = step.offsetMinutes !== undefined && step.offsetMinutes !== null;
+    const hasBeforeEnd = step.beforeEndMinutes !== undefined && step.beforeEndMinutes !== null;
+    if (hasOffset === hasBeforeEnd) {
+      return `${label}: give either offsetMinutes or beforeEndMinutes`;
+    }
+
+    const value = hasOffset ? step.offsetMinutes : step.beforeEndMinutes;
+    if (!Number.isInteger(value) || value < 0) {
+      return `${label}: ${hasOffset ? 'offsetMinutes' : 'beforeEndMinutes'} must be a whole number of minutes`;
+    }
+
+    const at = hasOffset ? value : minutes - value;
+    if (index === 0 && at !== 0) {
+      return 'The first step must start with the window (offsetMinutes: 0)';
+    }
+    if (at <= previous || at >= minutes) {
+      return `${label} must start after step ${index} and before the ${minutes}-minute window ends`;
+    }
+    previous = at;
+  }
+
+  return null;
+}
+
+/**
+ * Ramp steps of one occurrence as instants
+ *
+ * Schedules without steps have a single step at their fanSpeed. Offsets are
+ * elapsed minutes, so on a shortened (DST) day a step pushed out of the
+ * window, or past a later step, is dropped.
+ *
+ * @param {Object} window - { start, end } (see windowOn)
+ * @returns {Array} [{ fanSpeed, start }] in order, the first at the window start
+ */
+function stepsIn(schedule, { start, end }) {
+  if (!schedule.steps || schedule.steps.length === 0) {
+    return [{ fanSpeed: schedule.fanSpeed, start }];
+  }
+
+  const steps = [];
+  for (const step of schedule.steps) {
+    let at = step.offsetMinutes !== undefined && step.offsetMinutes !== null
+      ? new Date(start.getTime() + step.offsetMinutes * 60000)
+      : new Date(end.getTime() - step.beforeEndMinutes * 60000);
+
+    if (at < start) at = start;
+    if (at >= end) continue;
+
+    while (steps.length > 0 && steps[steps.length - 1].start >= at) {
+      steps.pop();
+    }
+    steps.push({ fanSpeed: step.fanSpeed, start: at });
+  }
+
+  return steps;
+}
+
+/**
+ * Ramp step of the occurrence covering an instant
+ *
+ * @returns {Object|null} { fanSpeed, start }, or null if no window covers the instant
+ */
+function stepAt(schedule, at = clock.date(), timeZone = timeZoneOf(schedule)) {
+  const date = activeOccurrence(schedule, at, timeZone);
+  if (!date) {
+    return null;
+  }
+
+  const steps = stepsIn(schedule, windowOn(schedule, date, timeZone));
+  return steps.filter(step => step.start <= at).pop() || steps[0];
+}
+
+/**
+ * Fan speed a schedule asks for at an instant (its fanSpeed outside its windows)
+ */
+function speedAt(schedule, at = clock.date(), timeZone = timeZoneOf(schedule)) {
+  const step = stepAt(schedule, at, timeZone);
+  return step ? step.fanSpeed : schedule.fanSpeed;
+}
+
+/**
+ * Occurrences whose window ends after an instant, in order
+ *
+ * Occurrences cancelled by a skip date or holiday are included with their
+ * exception. The search stops at validUntil (or after MAX_LOOKAHEAD_DAYS).
+ *
+ * @param {Object} [options] - { timeZone, holidays }
+ * @returns {Generator<Object>} { date, start, end, exception }
+ */
+function* occurrencesFrom(schedule, from, { timeZone = timeZoneOf(schedule), holidays } = {}) {
+  if (schedule.recurrenceType === 'once') {
+    const date = localParts(schedule.startAt, timeZone);
+    if (schedule.endAt > from) {
+      yield { date: formatDate(date), ...windowOn(schedule, date, timeZone), exception: exceptionOn(schedule, date, holidays) };
+    }
+    return;
+  }
+
+  // Start a day early - an overnight window from yesterday may still be open
+  let date = addDays(localParts(from, timeZone), -1);
+  let last = dayNumber(date) + MAX_LOOKAHEAD_DAYS;
+
+  const validFrom = parseDate(schedule.validFrom);
+  if (validFrom && dayNumber(validFrom) > dayNumber(date)) {
+    date = validFrom;
+  }
+
+  const validUntil = parseDate(schedule.validUntil);
+  if (validUntil) {
+    last = Math.min(last, dayNumber(validUntil));
+  }
+
+  for (; dayNumber(date) <= last; date = addDays(date, 1)) {
+    if (!occursOn(schedule, date)) {
+      continue;
+    }
+
+    const window = windowOn(schedule, date, timeZone);
+    if (window.end > from) {
+      yield { date: formatDate(date), ...window, exception: exceptionOn(schedule, date, holidays) };
+    }
+  }
+}
+
+module.exports = {
+  DAY_NAMES,
+  MONTHLY_RULE_KINDS,
+  defaultTimeZone,
+  isValidTimeZone,
+  timeZoneOf,
+  localParts,
+  zonedDate,
+  parseDateTime,
+  formatDateTime,
+  parseDate,
+  formatDate,
+  dayNumber,
+  addDays,
+  weekdayOf,
+  timeToMinutes,
+  hasSolarAnchor,
+  isLocation,
+  locationOf,
+  validateAnchor,
+  isOvernight,
+  anchorOf,
+  daysInMonth,
+  monthlyRuleOf,
+  validateMonthlyRule,
+  describeRecurrence,
+  cronMatchesDate,
+  occursOn,
+  exceptionOn,
+  activeOccurrence,
+  isActiveAt,
+  windowOn,
+  occurrencesFrom,
+  occurrenceDate,
+  windowMinutes,
+  validateSteps,
+  stepsIn,
+  stepAt,
+  speedAt
+};
@@ -0,0 +1,109 @@
+/**
+ * Solar Event Calculator
+ *
+ * Sunrise, sunset, civil dawn/dusk and solar noon for a location, computed
+ * locally with the NOAA general solar position equations (accurate to about
+ * a minute between the polar circles). No network access is needed.
+ *
+ * Near the poles the sun may not rise or set on a date (polar day or night);
+ * the event is then null.
+ */
+
+const SOLAR_EVENTS = ['dawn', 'sunrise', 'solarNoon', 'sunset', 'dusk'];
+
+// Zenith angle of the sun's center at each event, in degrees (sunrise/sunset
+// include refraction and the sun's radius, dawn/dusk are civil twilight)
+const ZENITH = {
+  dawn: 96,
+  sunrise: 90.833,
+  sunset: 90.833,
+  dusk: 96
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Minutes after UTC midnight of a UTC day at which an event occurs
+ *
+ * @param {number} dayStart - UTC midnight of the day, in ms
+ * @param {number} minutes - Estimated time of the event (the sun's position is taken then)
+ * @returns {number|null} null if the sun does not reach the event's zenith that day
+ */
+function eventMinutes(event, dayStart, minutes, latitude, longitude) {
+  // Fractional year (radians), equation of time (minutes) and declination (radians)
+  const yearStart = Date.UTC(new Date(dayStart).getUTCFullYear(), 0, 1);
+  const daysInYear = (Date.UTC(new Date(dayStart).getUTCFullYear() + 1, 0, 1) - yearStart) / MS_PER_DAY;
+  const gamma = 2 * Math.PI / daysInYear * ((dayStart - yearStart) / MS_PER_DAY + (minutes / 60 - 12) / 24);
+
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const noon = 720 - 4 * longitude - equationOfTime;
+  if (event === 'solarNoon') {
+    return noon;
+  }
+
+  // Hour angle of the event
+  const lat = toRadians(latitude);
+  const cosHourAngle = Math.cos(toRadians(ZENITH[event])) / (Math.cos(lat) * Math.cos(declination))
+    - Math.tan(lat) * Math.tan(declination);
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  return event === 'dawn' || event === 'sunrise' ? noon - 4 * hourAngle : noon + 4 * hourAngle;
+}
+
+/**
+ * Instant of a solar event on a UTC day (refined once at the estimated time,
+ * rounded to the minute)
+ */
+function eventOnUtcDay(event, dayStart, latitude, longitude) {
+  const estimate = eventMinutes(event, dayStart, 720, latitude, longitude);
+  if (estimate === null) {
+    return null;
+  }
+
+  const minutes = eventMinutes(event, dayStart, estimate, latitude, longitude);
+  return minutes === null ? null : new Date(dayStart + Math.round(minutes) * 60000);
+}
+
+/**
+ * Instant of a solar event on a calendar date in a timezone
+ *
+ * @param {string} event - One of SOLAR_EVENTS
+ * @param {Object} date - { year, month, day } in the timezone
+ * @param {Object} location - { latitude, longitude } in degrees (east and north positive)
+ * @returns {Date|null} null if the event does not happen on that date
+ */
+function solarTime(event, date, { latitude, longitude }, timeZone) {
+  // Lazy require to avoid a circular import (recurrence uses this module)
+  const { localParts } = require('./recurrence');
+  const utcDay = Date.UTC(date.year, date.month - 1, date.day);
+
+  // The local date can differ from the UTC date of the event - try the neighbours
+  for (const dayStart of [utcDay, utcDay - MS_PER_DAY, utcDay + MS_PER_DAY]) {
+    const instant = eventOnUtcDay(event, dayStart, latitude, longitude);
+    if (!instant) {
+      continue;
+    }
+
+    const local = localParts(instant, timeZone);
+    if (local.year === date.year && local.month === date.month && local.day === date.day) {
+      return instant;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SOLAR_EVENTS,
+  solarTime
+};
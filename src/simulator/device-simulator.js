@@ -3,6 +3,7 @@
  * 
  * This script simulates a real air purifier device that:
  * 1. Publishes sensor data every 2 minutes to MQTT broker
+ *    (plus a retained online/offline status with a Last Will for presence)
  * 2. Listens for commands (fan speed changes, turn off)
  * 3. Maintains internal state (current fan speed, power status)
  * 4. Generates realistic sensor data with gradual changes
@@ -33,7 +34,10 @@ const CONFIG = {
     command: (deviceId) => `device/${deviceId}/command`,
     
     // Where device sends acknowledgments (confirmations)
-    ack: (deviceId) => `device/${deviceId}/ack`
+    ack: (deviceId) => `device/${deviceId}/ack`,
+    
+    // Where device announces connectivity (retained birth / heartbeat / Last Will)
+    status: (deviceId) => `device/${deviceId}/status`
   }
 };
 
@@ -75,10 +79,21 @@ console.log(`Broker URL: ${CONFIG.brokerUrl}`);
 console.log('-------------------------------------------\n');
 
 // Connect to MQTT broker (like connecting to the post office)
+// The broker publishes the Last Will for us if we drop off without disconnecting cleanly
 const client = mqtt.connect(CONFIG.brokerUrl, {
   clientId: `device_${CONFIG.deviceId}_${Date.now()}`,
   clean: true,
   reconnectPeriod: 5000, // Try to reconnect every 5 seconds if disconnected
+  will: {
+    topic: CONFIG.topics.status(CONFIG.deviceId),
+    payload: JSON.stringify({
+      deviceId: CONFIG.deviceId,
+      status: 'offline',
+      reason: 'connection-lost'
+    }),
+    qos: 1,
+    retain: true
+  }
 });
 
 // ============================================
@@ -118,6 +133,9 @@ let autoOffTimer = null;
 let offlineMessageCount = 0;
 const MAX_OFFLINE_MESSAGES = 3;
 
+// Periodic data/heartbeat timer (created once, survives reconnects)
+let publishTimer = null;
+
 // Track failed publish attempts
 let failedPublishCount = 0;
 const MAX_FAILED_PUBLISHES = 3;
@@ -192,6 +210,41 @@ function publishSensorData() {
   });
 }
 
+/**
+ * Publish retained connectivity status
+ * Sent as a birth message on connect and as a heartbeat every publish interval,
+ * so the backend knows the device is reachable even while it is powered off.
+ * 
+ * @param {string} status - 'online' or 'offline'
+ * @param {string} reason - Why the status is being published
+ * @param {Function} callback - Called once the broker has the message
+ */
+function publishStatus(status, reason, callback) {
+  const statusPacket = {
+    deviceId: CONFIG.deviceId,
+    status,
+    reason,
+    powerOn: deviceState.powerOn,
+    fanSpeed: deviceState.fanSpeed,
+    publishInterval: CONFIG.dataPublishInterval / 1000, // seconds
+    timestamp: new Date().toISOString()
+  };
+  
+  client.publish(
+    CONFIG.topics.status(CONFIG.deviceId),
+    JSON.stringify(statusPacket),
+    { qos: 1, retain: true },
+    (err) => {
+      if (err) {
+        console.error('[ERROR] Failed to publish status:', err.message);
+      } else if (reason !== 'heartbeat') {
+        console.log(`[STATUS] Published ${status.toUpperCase()} (${reason})`);
+      }
+      if (callback) callback(err);
+    }
+  );
+}
+
 /**
  * Send acknowledgment back to backend
  * This confirms that the device received and executed a command
@@ -360,11 +413,19 @@ client.on('connect', () => {
   console.log('[STARTING] Sensor data publishing (every 2 minutes)');
   console.log('===========================================\n');
   
+  // Announce we're online (retained birth message)
+  publishStatus('online', 'birth');
+  
   // Publish immediately on startup
   publishSensorData();
   
-  // Then publish every 2 minutes
-  setInterval(publishSensorData, CONFIG.dataPublishInterval);
+  // Then publish every 2 minutes (plus a status heartbeat, even while powered off)
+  if (!publishTimer) {
+    publishTimer = setInterval(() => {
+      publishStatus('online', 'heartbeat');
+      publishSensorData();
+    }, CONFIG.dataPublishInterval);
+  }
 });
 
 // When a message is received
@@ -403,25 +464,13 @@ client.on('error', (error) => {
 process.on('SIGINT', () => {
   console.log('\n\n[SHUTDOWN] Stopping device simulator...');
   
-  // Send final status before disconnecting
+  // Send final status before disconnecting (clean disconnect suppresses the Last Will)
   if (client.connected) {
-    const finalPacket = {
-      deviceId: CONFIG.deviceId,
-      timestamp: new Date().toISOString(),
-      status: 'offline',
-      message: 'Device simulator stopped'
-    };
-    
-    client.publish(
-      CONFIG.topics.data(CONFIG.deviceId),
-      JSON.stringify(finalPacket),
-      { qos: 1 },
-      () => {
-        client.end();
-        console.log('[SHUTDOWN] Device simulator stopped successfully');
-        process.exit(0);
-      }
-    );
+    publishStatus('offline', 'shutdown', () => {
+      client.end();
+      console.log('[SHUTDOWN] Device simulator stopped successfully');
+      process.exit(0);
+    });
   } else {
     process.exit(0);
   }
@@ -0,0 +1,41 @@
+/**
+ * iCalendar import tests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ical = require('../src/backend/utils/ical');
+
+// A daily 08:00-09:00 event from 2026-01-01 with the given RRULE
+const importRule = (rule) => {
+  const calendar = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:count-test',
+    'SUMMARY:Morning speed 3',
+    'DTSTART;TZID=UTC:20260101T080000',
+    'DTEND;TZID=UTC:20260101T090000',
+    `RRULE:${rule}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  return ical.eventToSchedule(ical.parseCalendar(calendar)[0], { deviceId: 'AIR_PURIFIER_001', timeZone: 'UTC' });
+};
+
+test('COUNT sets validUntil to the last occurrence', () => {
+  assert.equal(importRule('FREQ=DAILY;COUNT=3').data.validUntil, '2026-01-03');
+  assert.equal(importRule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5').data.validUntil, '2026-01-19');
+});
+
+test('COUNT is followed past the occurrence search horizon', () => {
+  // 2026-01-01 plus 9999 days
+  assert.equal(importRule('FREQ=DAILY;COUNT=10000').data.validUntil, '2053-05-18');
+});
+
+test('COUNT too far ahead is rejected instead of cut short', () => {
+  const result = importRule('FREQ=DAILY;COUNT=100000');
+  assert.equal(result.data, undefined);
+  assert.match(result.error, /COUNT 100000/);
+});
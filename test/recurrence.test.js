@@ -0,0 +1,146 @@
+/**
+ * Recurrence engine tests
+ *
+ * Calendar dates, DST changes, overnight windows, monthly rules and skip
+ * dates. Run with `npm test` (no database or broker needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../src/backend/utils/recurrence');
+
+const NEW_YORK = 'America/New_York';
+const date = value => recurrence.parseDate(value);
+const iso = instant => instant.toISOString();
+
+const daily = (startTime, endTime, timezone = NEW_YORK) => ({
+  recurrenceType: 'daily',
+  anchorDate: '2026-01-01',
+  timezone,
+  startTime,
+  endTime
+});
+
+// Occurrence dates from an instant (first n)
+const occurrenceDates = (schedule, from, n) => {
+  const dates = [];
+  for (const occurrence of recurrence.occurrencesFrom(schedule, new Date(from))) {
+    dates.push(occurrence.date);
+    if (dates.length === n) {
+      break;
+    }
+  }
+  return dates;
+};
+
+test('DST gap: a window inside the skipped hour is empty', () => {
+  // 2027-03-14: New York clocks jump from 02:00 to 03:00
+  const { start, end } = recurrence.windowOn(daily('02:15', '03:00'), date('2027-03-14'));
+  assert.equal(iso(start), '2027-03-14T07:00:00.000Z');
+  assert.ok(end <= start);
+});
+
+test('DST gap: a start inside the skipped hour moves to the end of the gap', () => {
+  const { start, end } = recurrence.windowOn(daily('02:30', '04:00'), date('2027-03-14'));
+  assert.equal(iso(start), '2027-03-14T07:00:00.000Z'); // 03:00 EDT
+  assert.equal(iso(end), '2027-03-14T08:00:00.000Z');   // 04:00 EDT
+});
+
+test('DST gap: an overnight window across spring forward is an hour shorter', () => {
+  const { start, end } = recurrence.windowOn(daily('22:00', '06:00'), date('2027-03-13'));
+  assert.equal(iso(start), '2027-03-14T03:00:00.000Z'); // 22:00 EST
+  assert.equal(iso(end), '2027-03-14T10:00:00.000Z');   // 06:00 EDT
+  assert.equal(end - start, 7 * 60 * 60 * 1000);
+});
+
+test('DST overlap: the repeated hour is covered by a single occurrence', () => {
+  // 2026-11-01: New York clocks go back from 02:00 EDT to 01:00 EST
+  const schedule = daily('01:00', '02:00');
+  const { start, end } = recurrence.windowOn(schedule, date('2026-11-01'));
+  assert.equal(iso(start), '2026-11-01T05:00:00.000Z'); // first 01:00 (EDT)
+  assert.equal(iso(end), '2026-11-01T07:00:00.000Z');   // 02:00 EST
+
+  const occurrences = [...recurrence.occurrencesFrom(schedule, new Date('2026-11-01T00:00:00Z'))].slice(0, 2);
+  assert.deepEqual(occurrences.map(o => o.date), ['2026-11-01', '2026-11-02']);
+
+  // Both passes through 01:30 are inside the window
+  assert.ok(recurrence.isActiveAt(schedule, new Date('2026-11-01T05:30:00Z')));
+  assert.ok(recurrence.isActiveAt(schedule, new Date('2026-11-01T06:30:00Z')));
+});
+
+test('DST overlap: an overnight window across fall back is an hour longer', () => {
+  const { start, end } = recurrence.windowOn(daily('22:00', '06:00'), date('2026-10-31'));
+  assert.equal(end - start, 9 * 60 * 60 * 1000);
+});
+
+test('overnight window across a year end', () => {
+  const schedule = daily('23:00', '01:00', 'UTC');
+  const { start, end } = recurrence.windowOn(schedule, date('2026-12-31'));
+  assert.equal(iso(start), '2026-12-31T23:00:00.000Z');
+  assert.equal(iso(end), '2027-01-01T01:00:00.000Z');
+
+  // After midnight the window still belongs to the previous year's date
+  const at = new Date('2027-01-01T00:30:00Z');
+  assert.equal(recurrence.formatDate(recurrence.activeOccurrence(schedule, at)), '2026-12-31');
+  assert.equal(recurrence.formatDate(recurrence.occurrenceDate(schedule, 'end', new Date('2027-01-01T01:00:00Z'))), '2026-12-31');
+});
+
+test('overnight window across a month end (non-leap February)', () => {
+  const schedule = daily('22:00', '02:00', 'UTC');
+  const { end } = recurrence.windowOn(schedule, date('2027-02-28'));
+  assert.equal(iso(end), '2027-03-01T02:00:00.000Z');
+  assert.equal(recurrence.formatDate(recurrence.activeOccurrence(schedule, new Date('2027-03-01T01:00:00Z'))), '2027-02-28');
+});
+
+test('weekly overnight window ends on the next month', () => {
+  // 2026-01-31 is a Saturday
+  const schedule = { ...daily('23:00', '03:00', 'UTC'), recurrenceType: 'weekly', days: ['Saturday'] };
+  assert.ok(recurrence.occursOn(schedule, date('2026-01-31')));
+  assert.ok(!recurrence.occursOn(schedule, date('2026-02-01')));
+  assert.ok(recurrence.isActiveAt(schedule, new Date('2026-02-01T02:00:00Z')));
+  assert.ok(!recurrence.isActiveAt(schedule, new Date('2026-02-01T03:00:00Z')));
+});
+
+test('monthly: last Friday of each month', () => {
+  const schedule = {
+    ...daily('10:00', '11:00', 'UTC'),
+    recurrenceType: 'monthly',
+    monthlyRule: { kind: 'lastWeekday', weekday: 'Friday' }
+  };
+  assert.deepEqual(occurrenceDates(schedule, '2026-01-01T00:00:00Z', 5),
+    ['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24', '2026-05-29']);
+});
+
+test('monthly: last day of the month includes leap days', () => {
+  const schedule = {
+    ...daily('10:00', '11:00', 'UTC'),
+    recurrenceType: 'monthly',
+    monthlyRule: { kind: 'lastDay' }
+  };
+  assert.deepEqual(occurrenceDates(schedule, '2028-01-31T12:00:00Z', 3), ['2028-02-29', '2028-03-31', '2028-04-30']);
+});
+
+test('monthly: the 31st skips shorter months', () => {
+  const schedule = {
+    ...daily('10:00', '11:00', 'UTC'),
+    recurrenceType: 'monthly',
+    monthlyRule: { kind: 'dayOfMonth', dayOfMonth: 31 }
+  };
+  assert.deepEqual(occurrenceDates(schedule, '2026-01-01T00:00:00Z', 4), ['2026-01-31', '2026-03-31', '2026-05-31', '2026-07-31']);
+});
+
+test('skip dates cancel an occurrence but not its neighbours', () => {
+  const schedule = { ...daily('09:00', '10:00', 'UTC'), skipDates: ['2026-12-25'] };
+
+  assert.equal(recurrence.exceptionOn(schedule, date('2026-12-25')).reason, 'skip_date');
+  assert.equal(recurrence.exceptionOn(schedule, date('2026-12-24')), null);
+
+  const occurrences = [...recurrence.occurrencesFrom(schedule, new Date('2026-12-24T00:00:00Z'))].slice(0, 3);
+  assert.deepEqual(occurrences.map(o => [o.date, o.exception ? o.exception.reason : null]),
+    [['2026-12-24', null], ['2026-12-25', 'skip_date'], ['2026-12-26', null]]);
+});
+
+test('validUntil ends the occurrences', () => {
+  const schedule = { ...daily('09:00', '10:00', 'UTC'), validUntil: '2026-12-26' };
+  assert.deepEqual(occurrenceDates(schedule, '2026-12-24T00:00:00Z', 10), ['2026-12-24', '2026-12-25', '2026-12-26']);
+});
@@ -0,0 +1,77 @@
+/**
+ * Scheduler tests
+ *
+ * Models are stubbed (no MongoDB); the clock is frozen, so armed timers never fire.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const clock = require('../src/backend/utils/clock');
+const Device = require('../src/backend/models/Device');
+const Schedule = require('../src/backend/models/Schedule');
+const ScheduleExecution = require('../src/backend/models/ScheduleExecution');
+const schedulerService = require('../src/backend/services/schedulerService');
+const clusterService = require('../src/backend/services/clusterService');
+
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+
+test('initialize keeps a sunset schedule that follows the device location', async (t) => {
+  const schedule = new Schedule({
+    deviceId: 'AIR_PURIFIER_001',
+    recurrenceType: 'daily',
+    startAnchor: { event: 'sunset', offsetMinutes: -30 },
+    endTime: '23:30',
+    timezone: 'America/New_York',
+    fanSpeed: 3,
+    isActive: true
+  });
+  const deactivated = [];
+
+  t.mock.method(ScheduleExecution, 'migrateEmbeddedHistory', async () => 0);
+  t.mock.method(Schedule, 'find', async query => (query.isActive ? [schedule] : []));
+  t.mock.method(Schedule, 'findByIdAndUpdate', async (id, update) => deactivated.push({ id, update }));
+  t.mock.method(Device, 'findOne', () => ({ select: async () => ({ location: NEW_YORK }) }));
+
+  clock.freeze('2026-06-21T12:00:00Z');
+  t.after(() => {
+    schedulerService.stopAll();
+    clock.reset();
+  });
+
+  await schedulerService.initialize();
+
+  assert.deepEqual(deactivated, []);
+  assert.ok(schedulerService.activeJobs.has(`${schedule._id}_start`));
+  assert.ok(schedulerService.activeJobs.has(`${schedule._id}_end`));
+});
+
+test('rearmAll re-arms device-located schedules without migrating history again', async (t) => {
+  const schedule = new Schedule({
+    deviceId: 'AIR_PURIFIER_001',
+    recurrenceType: 'daily',
+    startAnchor: { event: 'sunset', offsetMinutes: 0 },
+    endTime: '23:30',
+    timezone: 'America/New_York',
+    fanSpeed: 3,
+    isActive: true
+  });
+  const deactivated = [];
+
+  const migrate = t.mock.method(ScheduleExecution, 'migrateEmbeddedHistory', async () => 0);
+  t.mock.method(clusterService, 'isLeader', () => true);
+  t.mock.method(Schedule, 'find', async () => [schedule]);
+  t.mock.method(Schedule, 'findByIdAndUpdate', async (id, update) => deactivated.push({ id, update }));
+  t.mock.method(Device, 'findOne', () => ({ select: async () => ({ location: NEW_YORK }) }));
+
+  clock.freeze('2026-06-21T12:00:00Z');
+  t.after(() => {
+    schedulerService.stopAll();
+    clock.reset();
+  });
+
+  await schedulerService.rearmAll();
+
+  assert.equal(migrate.mock.callCount(), 0);
+  assert.deepEqual(deactivated, []);
+  assert.ok(schedulerService.activeJobs.has(`${schedule._id}_start`));
+});
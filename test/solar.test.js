@@ -0,0 +1,47 @@
+/**
+ * Solar event tests
+ *
+ * Reference times from NOAA's solar calculator (accurate to about a minute).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const solar = require('../src/backend/utils/solar');
+const recurrence = require('../src/backend/utils/recurrence');
+
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+const TROMSO = { latitude: 69.6496, longitude: 18.956 };
+
+// Within two minutes of the reference
+const assertNear = (actual, expected) => {
+  assert.ok(actual, 'expected an event time');
+  const minutes = Math.abs(actual - new Date(expected)) / 60000;
+  assert.ok(minutes <= 2, `${actual.toISOString()} is ${minutes} minutes from ${expected}`);
+};
+
+test('New York on the June solstice', () => {
+  const date = recurrence.parseDate('2026-06-21');
+  assertNear(solar.solarTime('sunrise', date, NEW_YORK, 'America/New_York'), '2026-06-21T09:25:00Z');
+
+  // Sunset is after UTC midnight but still on the local date
+  assertNear(solar.solarTime('sunset', date, NEW_YORK, 'America/New_York'), '2026-06-22T00:31:00Z');
+});
+
+test('polar night and midnight sun have no sunrise', () => {
+  assert.equal(solar.solarTime('sunrise', recurrence.parseDate('2026-12-21'), TROMSO, 'Europe/Oslo'), null);
+  assert.equal(solar.solarTime('sunset', recurrence.parseDate('2026-06-21'), TROMSO, 'Europe/Oslo'), null);
+});
+
+test('sun-relative schedule: no occurrence on dates without the event', () => {
+  const schedule = {
+    recurrenceType: 'daily',
+    anchorDate: '2026-01-01',
+    timezone: 'Europe/Oslo',
+    location: TROMSO,
+    startAnchor: { event: 'sunrise', offsetMinutes: 0 },
+    endTime: '23:00'
+  };
+
+  assert.ok(!recurrence.occursOn(schedule, recurrence.parseDate('2026-12-21')));
+  assert.ok(recurrence.occursOn(schedule, recurrence.parseDate('2026-03-21')));
+});